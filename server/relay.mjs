@@ -0,0 +1,286 @@
+/**
+ * relay.mjs - WebSocket relay for online Koules games
+ *
+ * A small, game-agnostic message hub: players create or join rooms by a
+ * four-letter code, the first one in is the host, and once the host starts
+ * the game every player's inputs are forwarded to the rest of the room.
+ * The relay never runs the simulation itself; each browser does, in
+ * lockstep (see src/net/Lockstep.js). Players report a hash of their state
+ * now and then and the relay announces a desync if they disagree.
+ *
+ * Every start gives the room a new game number, which inputs and hashes
+ * carry; ones still in flight from an earlier game are dropped rather
+ * than mixed into the new one.
+ *
+ *   npm run relay                 # ws://localhost:8787
+ *   PORT=9000 npm run relay
+ *
+ * Messages are JSON objects with a `type`:
+ *
+ *   client -> relay   create {name}, join {room, name}, start {config},
+ *                     input {game, frame, masks, simFrame},
+ *                     hash {game, frame, hash}, ping {time}, leave
+ *   relay -> client   joined {room, id}, room {room, host, players, playing},
+ *                     start {game, config, slots},
+ *                     input {game, player, frame, masks, simFrame},
+ *                     left {player},
+ *                     desync {frame}, pong {time}, error {message}
+ */
+
+import { pathToFileURL } from "node:url";
+import { WebSocketServer } from "ws";
+
+export const DEFAULT_PORT = 8787;
+export const MAX_PLAYERS = 5;
+
+// No I/O or 0/1 so codes read back unambiguously
+const CODE_LETTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+const CODE_LENGTH = 4;
+const NAME_LENGTH = 16;
+const HEARTBEAT_MS = 15000; // Drop connections that stop answering pings
+
+function createRoomCode(rooms) {
+  let code;
+  do {
+    code = "";
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_LETTERS[Math.floor(Math.random() * CODE_LETTERS.length)];
+    }
+  } while (rooms.has(code));
+  return code;
+}
+
+function cleanName(name, fallback) {
+  const text =
+    typeof name === "string" ? name.trim().slice(0, NAME_LENGTH) : "";
+  return text || fallback;
+}
+
+// Start a relay; resolves to the WebSocketServer once it is listening.
+// `log` receives one line per notable event (pass () => {} to silence it).
+export function startRelay({
+  port = DEFAULT_PORT,
+  host,
+  log = console.log,
+} = {}) {
+  const rooms = new Map(); // code -> room
+  let nextClientId = 1;
+
+  const send = (client, message) => {
+    if (client.socket.readyState === client.socket.OPEN) {
+      client.socket.send(JSON.stringify(message));
+    }
+  };
+
+  const broadcast = (room, message, except = null) => {
+    room.clients.forEach((client) => {
+      if (client !== except) send(client, message);
+    });
+  };
+
+  const sendRoomState = (room) => {
+    broadcast(room, {
+      type: "room",
+      room: room.code,
+      host: room.host.id,
+      players: room.clients.map(({ id, name }) => ({ id, name })),
+      playing: room.playing,
+    });
+  };
+
+  const enterRoom = (client, room, name) => {
+    client.name = cleanName(name, `Player ${room.clients.length + 1}`);
+    client.room = room;
+    client.slot = -1; // Player slot once a game starts
+    room.clients.push(client);
+    send(client, { type: "joined", room: room.code, id: client.id });
+    sendRoomState(room);
+  };
+
+  // Compare hashes once every player still in the game has sent one
+  const checkHashes = (room) => {
+    room.hashes.forEach((hashes, frame) => {
+      const expected = room.clients.filter((client) => client.slot >= 0);
+      if (!expected.every((client) => hashes.has(client.slot))) return;
+
+      room.hashes.delete(frame);
+      const values = expected.map((client) => hashes.get(client.slot));
+      if (values.some((hash) => hash !== values[0])) {
+        log(`Room ${room.code}: desync at frame ${frame}`);
+        broadcast(room, { type: "desync", frame });
+      }
+    });
+  };
+
+  const leaveRoom = (client) => {
+    const room = client.room;
+    if (!room) return;
+
+    client.room = null;
+    room.clients = room.clients.filter((other) => other !== client);
+    if (room.clients.length === 0) {
+      rooms.delete(room.code);
+      log(`Room ${room.code} closed`);
+      return;
+    }
+
+    if (room.host === client) room.host = room.clients[0];
+    if (room.playing && client.slot >= 0) {
+      broadcast(room, { type: "left", player: client.slot });
+      checkHashes(room);
+    }
+    sendRoomState(room);
+  };
+
+  const handlers = {
+    create(client, { name }) {
+      leaveRoom(client);
+      const room = {
+        code: createRoomCode(rooms),
+        clients: [],
+        host: client,
+        playing: false,
+        game: 0, // Number of the latest game started
+        hashes: new Map(), // frame -> Map(slot -> hash)
+      };
+      rooms.set(room.code, room);
+      log(`Room ${room.code} opened`);
+      enterRoom(client, room, name);
+    },
+
+    join(client, { room: code, name }) {
+      const room = rooms.get(
+        String(code || "")
+          .trim()
+          .toUpperCase(),
+      );
+      if (!room)
+        return send(client, { type: "error", message: "No such room" });
+      if (room.playing) {
+        return send(client, { type: "error", message: "Game already started" });
+      }
+      if (room.clients.length >= MAX_PLAYERS) {
+        return send(client, { type: "error", message: "Room is full" });
+      }
+      leaveRoom(client);
+      enterRoom(client, room, name);
+    },
+
+    // The host starts (or restarts) the game; slots follow join order
+    start(client, { config }) {
+      const room = client.room;
+      if (!room || room.host !== client) {
+        return send(client, {
+          type: "error",
+          message: "Only the host can start",
+        });
+      }
+      if (room.clients.length < 2) {
+        return send(client, {
+          type: "error",
+          message: "Need at least 2 players",
+        });
+      }
+
+      room.playing = true;
+      room.game++;
+      room.hashes.clear();
+      room.clients.forEach((other, slot) => {
+        other.slot = slot;
+      });
+      log(
+        `Room ${room.code}: game started with ${room.clients.length} players`,
+      );
+      broadcast(room, {
+        type: "start",
+        game: room.game,
+        config: { ...config, playerCount: room.clients.length },
+        slots: room.clients.map(({ id }) => id),
+      });
+      sendRoomState(room);
+    },
+
+    input(client, { game, frame, masks, simFrame }) {
+      const room = client.room;
+      if (!room || !room.playing || client.slot < 0 || game !== room.game) {
+        return;
+      }
+      broadcast(
+        room,
+        { type: "input", game, player: client.slot, frame, masks, simFrame },
+        client,
+      );
+    },
+
+    hash(client, { game, frame, hash }) {
+      const room = client.room;
+      if (!room || !room.playing || client.slot < 0 || game !== room.game) {
+        return;
+      }
+      if (!room.hashes.has(frame)) room.hashes.set(frame, new Map());
+      room.hashes.get(frame).set(client.slot, hash);
+      checkHashes(room);
+    },
+
+    ping(client, { time }) {
+      send(client, { type: "pong", time });
+    },
+
+    leave(client) {
+      leaveRoom(client);
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    const server = new WebSocketServer({ port, host });
+    server.once("error", reject);
+    server.once("listening", () => {
+      log(`Koules relay listening on port ${server.address().port}`);
+      resolve(server);
+    });
+
+    server.on("connection", (socket) => {
+      const client = {
+        id: nextClientId++,
+        socket,
+        name: "",
+        room: null,
+        slot: -1,
+      };
+      socket.alive = true;
+      socket.on("pong", () => {
+        socket.alive = true;
+      });
+
+      socket.on("message", (data) => {
+        let message;
+        try {
+          message = JSON.parse(data);
+        } catch {
+          return send(client, { type: "error", message: "Bad message" });
+        }
+        const handler = message && handlers[message.type];
+        if (handler) handler(client, message);
+      });
+      socket.on("close", () => leaveRoom(client));
+    });
+
+    const heartbeat = setInterval(() => {
+      server.clients.forEach((socket) => {
+        if (!socket.alive) return socket.terminate();
+        socket.alive = false;
+        socket.ping();
+      });
+    }, HEARTBEAT_MS);
+    server.on("close", () => clearInterval(heartbeat));
+  });
+}
+
+// Run directly: `node server/relay.mjs`
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+  startRelay({ port, host: process.env.HOST }).catch((error) => {
+    console.error("Failed to start relay:", error.message);
+    process.exit(1);
+  });
+}
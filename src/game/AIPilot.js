@@ -0,0 +1,584 @@
+/**
+ * AIPilot.js - Computer-controlled rockets for Koules
+ *
+ * A pilot looks at the simulation the way a player looks at the screen and
+ * answers with the same up/down/left/right/brake controls the keyboard
+ * gives, so bots need nothing special from the physics, replays or saved
+ * games. Every decision it first keeps clear of deadly walls and of holes
+ * whose pull is stronger than its thrust, then lines up behind a target and
+ * pushes it towards a hazard: balls and enemies into holes (or deadly walls)
+ * in cooperative games, opponents into them in deathmatch.
+ *
+ * PilotInput puts pilots in chosen player slots and hands the others to a
+ * keyboard input source.
+ */
+
+import { GAME_CONSTANTS } from "./GameConstants.js";
+import { SeededRandom } from "./SeededRandom.js";
+
+// reactionTicks: steps a decision is held for
+// lookahead: steps of drift considered when checking for danger
+// margin: extra room kept from walls and hole pull, in pixels
+// dangerPull: hole pull, as a share of thrust, at which the pilot backs off
+// aimError: largest random error in the push direction, in radians
+export const PILOT_LEVELS = {
+  easy: {
+    name: "Easy",
+    reactionTicks: 20,
+    lookahead: 20,
+    margin: 4,
+    dangerPull: 1,
+    aimError: 0.6,
+    brakes: false,
+  },
+  normal: {
+    name: "Normal",
+    reactionTicks: 8,
+    lookahead: 60,
+    margin: 8,
+    dangerPull: 0.7,
+    aimError: 0.25,
+    brakes: true,
+  },
+  hard: {
+    name: "Hard",
+    reactionTicks: 2,
+    lookahead: 120,
+    margin: 12,
+    dangerPull: 0.45,
+    aimError: 0.05,
+    brakes: true,
+  },
+};
+
+export const MAX_PILOTS = GAME_CONSTANTS.ROCKET_COLORS.length;
+
+const IDLE = Object.freeze({
+  up: false,
+  down: false,
+  left: false,
+  right: false,
+  brake: false,
+});
+
+// Distance within which a pilot may give way to another, and how much
+// nearer its hazard it has to be (see givesWay)
+const GIVE_WAY_RANGE = 150;
+const GIVE_WAY_MARGIN = 30;
+
+// Pushing a target that won't budge for this long, back off this far
+// and ram it instead, giving up on the run-up if it takes longer than
+// RUN_UP_TICKS (a hole's pull can hold the rocket back)
+const STALL_TICKS = 60;
+const RUN_UP = 30;
+const RUN_UP_TICKS = 240;
+
+// A thrust direction component smaller than this share of the whole is
+// left off, so diagonals only happen when they're meant
+const AXIS_THRESHOLD = 0.38;
+
+// Distance from point (x, y) to the segment (ax, ay)-(bx, by)
+function distanceToSegment(x, y, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t =
+    lengthSq === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / lengthSq));
+  return Math.hypot(x - (ax + dx * t), y - (ay + dy * t));
+}
+
+export class AIPilot {
+  // `getPilot` finds the pilot flying another player slot, if any
+  constructor(simulation, playerId, level = "normal", getPilot = () => null) {
+    if (!PILOT_LEVELS[level]) {
+      throw new Error(`Unknown pilot level "${level}"`);
+    }
+
+    this.simulation = simulation;
+    this.playerId = playerId;
+    this.level = level;
+    this.getPilot = getPilot;
+    this.settings = PILOT_LEVELS[level];
+    this.controls = IDLE;
+    this.decidedAt = -Infinity; // Tick of the last decision
+    this.stalledFor = 0; // Ticks spent pushing a target that won't move
+    this.runningUp = false; // Backing off to ram it (see push)
+    this.pressing = false; // Driving a target along from behind
+    this.givingWay = false; // Letting another pilot push (see givesWay)
+  }
+
+  getControls() {
+    const sim = this.simulation;
+    const rocket = sim.rockets[this.playerId];
+    if (!rocket || !rocket.live) return IDLE;
+
+    // Slower pilots look up every few steps and hold their controls in
+    // between; a new game or level starts them afresh
+    const elapsed = sim.tick - this.decidedAt;
+    if (elapsed < 0) {
+      this.stalledFor = 0;
+      this.runningUp = false;
+      this.pressing = false;
+      this.givingWay = false;
+    }
+    if (elapsed < 0 || elapsed >= this.settings.reactionTicks) {
+      this.controls = this.decide(rocket);
+      this.decidedAt = sim.tick;
+    }
+    return this.controls;
+  }
+
+  decide(rocket) {
+    // A pilot giving way still escapes, but doesn't brake against the push
+    const givesWay = this.givesWay(rocket);
+    const escape = this.findEscape(rocket);
+    this.pressing = false; // Until push() says otherwise
+    if (escape) {
+      const controls = this.thrustTowards(rocket, escape.x, escape.y, true);
+      return givesWay ? { ...controls, brake: false } : controls;
+    }
+    if (givesWay) return IDLE;
+
+    // Nothing left to push: wait in the middle, away from the walls
+    const target = this.chooseTarget(rocket);
+    if (!target) {
+      const { width, height } = this.simulation;
+      return this.moveTo(rocket, width / 2, height / 2);
+    }
+
+    return this.push(rocket, target);
+  }
+
+  // Direction away from whatever is about to kill the rocket, or null when
+  // it is safe: deadly walls it is drifting into and holes pulling harder
+  // than the pilot is willing to fight
+  findEscape(rocket) {
+    const sim = this.simulation;
+    const { margin } = this.settings;
+    // Driving a target along, the pilot has it for a buffer: it won't drift
+    // on past it, and it holds on until a hole pulls harder than it can fight
+    const lookahead = this.pressing ? 0 : this.settings.lookahead;
+    const dangerPull = this.pressing ? 1 : this.settings.dangerPull;
+    const px = rocket.x + rocket.vx * lookahead;
+    const py = rocket.y + rocket.vy * lookahead;
+    const room = rocket.radius + margin;
+    let ex = 0;
+    let ey = 0;
+
+    const { top, right, bottom, left } = sim.walls;
+    if (left === "deadly" && Math.min(rocket.x, px) < room) ex += 1;
+    if (right === "deadly" && Math.max(rocket.x, px) > sim.width - room) {
+      ex -= 1;
+    }
+    if (top === "deadly" && Math.min(rocket.y, py) < room) ey += 1;
+    if (bottom === "deadly" && Math.max(rocket.y, py) > sim.height - room) {
+      ey -= 1;
+    }
+
+    if (!sim.isInvulnerable(rocket)) {
+      const limit = sim.tuning.thrust * dangerPull;
+      sim.objects.forEach((hole) => {
+        if (!hole.live || hole.type !== GAME_CONSTANTS.HOLE) return;
+
+        // Check where the rocket is and where it is drifting to
+        const near = [
+          [rocket.x, rocket.y],
+          [px, py],
+        ].some(([x, y]) => {
+          const distance = Math.hypot(hole.x - x, hole.y - y);
+          return (
+            distance < hole.radius + room || this.pullAt(hole, distance) > limit
+          );
+        });
+        if (!near) return;
+
+        const dx = rocket.x - hole.x;
+        const dy = rocket.y - hole.y;
+        const distance = Math.hypot(dx, dy) || 1;
+        ex += dx / distance;
+        ey += dy / distance;
+      });
+    }
+
+    return ex !== 0 || ey !== 0 ? { x: ex, y: ey } : null;
+  }
+
+  // In deathmatch, whether to let another pilot push the rocket. Two
+  // pilots racing to get behind each other only chase each other away from
+  // the holes, so the one nearer its hazard gives way and saves its thrust
+  // for escaping it. Human players are always fought.
+  givesWay(rocket) {
+    const sim = this.simulation;
+    if (sim.gameMode !== "deathmatch" || sim.isInvulnerable(rocket)) {
+      this.givingWay = false;
+      return false;
+    }
+
+    const exposure = (obj) => {
+      const hazard = this.findHazard(obj);
+      return hazard ? Math.hypot(hazard.x - obj.x, hazard.y - obj.y) : Infinity;
+    };
+    const own = exposure(rocket);
+    this.givingWay = sim.rockets.some((other) => {
+      const pilot =
+        other !== rocket && other.live ? this.getPilot(other.playerId) : null;
+      if (!pilot || pilot.givingWay) return false;
+      if (Math.hypot(other.x - rocket.x, other.y - rocket.y) > GIVE_WAY_RANGE) {
+        return false;
+      }
+
+      // Roles only change hands once the other is clearly the nearer its
+      // hazard, so the two don't keep trading them; when it's close, the
+      // lower player attacks
+      const lead = exposure(other) - own;
+      if (this.givingWay) return lead > -GIVE_WAY_MARGIN;
+      return (
+        lead > GIVE_WAY_MARGIN ||
+        (lead > -GIVE_WAY_MARGIN && other.playerId < rocket.playerId)
+      );
+    });
+    return this.givingWay;
+  }
+
+  // Strength of a hole's pull at a distance, as applyGravity works it out:
+  // nothing beyond its field or inside the innermost ring
+  pullAt(hole, distance) {
+    const sim = this.simulation;
+    const range = sim.getGravityRange(hole);
+    if (distance >= range.max || distance <= range.min) return 0;
+
+    return (
+      (sim.GRAVITY_STRENGTH * sim.getGravityScale(hole)) / (distance * distance)
+    );
+  }
+
+  // Cheapest thing to push into a hazard: close to the rocket and close to
+  // where it has to go. Things the level needs cleared come first.
+  chooseTarget(rocket) {
+    const sim = this.simulation;
+    let best = null;
+    let bestCost = Infinity;
+
+    sim.objects.forEach((obj) => {
+      if (!obj.live || obj === rocket) return;
+
+      const priority = this.getPriority(obj);
+      if (priority === 0) return;
+
+      const hazard = this.findHazard(obj);
+      const cost =
+        (Math.hypot(obj.x - rocket.x, obj.y - rocket.y) +
+          (hazard ? Math.hypot(hazard.x - obj.x, hazard.y - obj.y) : 0)) /
+        priority;
+      if (cost < bestCost) {
+        best = obj;
+        bestCost = cost;
+      }
+    });
+    return best;
+  }
+
+  // How much an object is worth going after (0 = leave it alone)
+  getPriority(obj) {
+    const sim = this.simulation;
+    if (sim.gameMode === "deathmatch") {
+      return obj.type === GAME_CONSTANTS.ROCKET && !sim.isInvulnerable(obj)
+        ? 1
+        : 0;
+    }
+
+    switch (obj.type) {
+      case GAME_CONSTANTS.BALL_SMALL:
+      case GAME_CONSTANTS.BALL_LARGE:
+      case GAME_CONSTANTS.CREATOR:
+        return 1;
+      case GAME_CONSTANTS.APPLE:
+        return 0.8;
+      default:
+        return sim.getHoleBonus(obj.type) > 0 ? 0.5 : 0;
+    }
+  }
+
+  // Where to push an object to get rid of it: the nearest hole or deadly
+  // wall, or null if there is neither. Walls only pay half for balls, so in
+  // cooperative games a hole is worth going twice as far for. In deathmatch
+  // any hole beats a wall: its pull helps the push, and a rocket thrusting
+  // back is never shoved into a wall by another of the same strength.
+  findHazard(obj) {
+    const sim = this.simulation;
+    const wallCost = sim.gameMode === "deathmatch" ? 1 : 2;
+    let hazard = null;
+    let best = Infinity;
+    const consider = (x, y, cost) => {
+      const distance = Math.hypot(x - obj.x, y - obj.y) * cost;
+      if (distance < best) {
+        hazard = { x, y };
+        best = distance;
+      }
+    };
+
+    sim.objects.forEach((hole) => {
+      if (hole.live && hole.type === GAME_CONSTANTS.HOLE) {
+        consider(hole.x, hole.y, 1);
+      }
+    });
+    if (hazard && sim.gameMode === "deathmatch") return hazard;
+
+    const { top, right, bottom, left } = sim.walls;
+    if (top === "deadly") consider(obj.x, 0, wallCost);
+    if (right === "deadly") consider(sim.width, obj.y, wallCost);
+    if (bottom === "deadly") consider(obj.x, sim.height, wallCost);
+    if (left === "deadly") consider(0, obj.y, wallCost);
+    return hazard;
+  }
+
+  // Get behind the target on the far side from its hazard, then drive
+  // through it
+  push(rocket, target) {
+    // With nowhere to send it, just ram it
+    const hazard = this.findHazard(target);
+    const dx = hazard ? hazard.x - target.x : target.x - rocket.x;
+    const dy = hazard ? hazard.y - target.y : target.y - rocket.y;
+    const length = Math.hypot(dx, dy) || 1;
+    const nx = dx / length;
+    const ny = dy / length;
+
+    // Position relative to the target along the push line and across it
+    const rx = rocket.x - target.x;
+    const ry = rocket.y - target.y;
+    const along = rx * nx + ry * ny;
+    const side = rx * ny - ry * nx;
+    const contact = target.radius + rocket.radius;
+
+    // Pressed against it from behind: push at the hazard, edging back onto
+    // the line whenever it starts to slip round the side. Pushing a target
+    // that thrusts back as hard gets nowhere, so once it has stopped giving
+    // way for a while, back off along the line and ram it.
+    const gap = Math.hypot(rx, ry) - contact;
+    if (this.runningUp) {
+      this.stalledFor += this.settings.reactionTicks;
+      if (gap < RUN_UP && along < 0 && this.stalledFor < RUN_UP_TICKS) {
+        return this.thrustTowards(rocket, -nx, -ny);
+      }
+      this.runningUp = false;
+      this.stalledFor = 0;
+    }
+    if (gap < 4 && along < -contact * 0.5) {
+      const giving = target.vx * nx + target.vy * ny;
+      if (giving > this.getTopSpeed(target) * 0.25) {
+        this.stalledFor = 0;
+      } else {
+        this.stalledFor += this.settings.reactionTicks;
+        if (this.stalledFor > STALL_TICKS) {
+          this.stalledFor = 0;
+          this.runningUp = true;
+          return this.thrustTowards(rocket, -nx, -ny);
+        }
+      }
+      this.pressing = true;
+      const slip = (2 * side) / contact;
+      return this.thrustTowards(rocket, nx - ny * slip, ny + nx * slip);
+    }
+
+    // Lined up behind it: drive through its centre
+    if (along < -contact * 0.5 && Math.abs(side) < contact * 0.5) {
+      this.pressing = true;
+      const angle =
+        Math.atan2(-ry, -rx) + this.wobble() * this.settings.aimError;
+      return this.thrustTowards(rocket, Math.cos(angle), Math.sin(angle));
+    }
+
+    // Come in to the launch point behind it. If the way there would knock
+    // it the wrong way, circle round it an eighth of a turn at a time.
+    const back = contact + 10;
+    const launchX = target.x - nx * back;
+    const launchY = target.y - ny * back;
+    if (
+      distanceToSegment(
+        target.x,
+        target.y,
+        rocket.x,
+        rocket.y,
+        launchX,
+        launchY,
+      ) >= contact
+    ) {
+      return this.moveTo(rocket, launchX, launchY);
+    }
+
+    const from = Math.atan2(ry, rx);
+    let turn = Math.atan2(-ny, -nx) - from;
+    turn = Math.atan2(Math.sin(turn), Math.cos(turn)); // -PI..PI
+    const angle =
+      from + Math.sign(turn) * Math.min(Math.abs(turn), Math.PI / 4);
+    const wide = contact + 20;
+    return this.moveTo(
+      rocket,
+      target.x + Math.cos(angle) * wide,
+      target.y + Math.sin(angle) * wide,
+    );
+  }
+
+  // Head for a point, slowing down on arrival and going round holes on
+  // the way
+  moveTo(rocket, targetX, targetY) {
+    const [x, y] = this.findDetour(rocket, targetX, targetY) || [
+      targetX,
+      targetY,
+    ];
+    const dx = x - rocket.x;
+    const dy = y - rocket.y;
+    const distance = Math.hypot(dx, dy);
+    if (distance < 2) return this.thrustTowards(rocket, -rocket.vx, -rocket.vy);
+
+    const top = this.getTopSpeed(rocket);
+    const speed = top * Math.min(1, distance / 40);
+    return this.thrustTowards(
+      rocket,
+      (dx / distance) * speed - rocket.vx,
+      (dy / distance) * speed - rocket.vy,
+    );
+  }
+
+  // A point beside the first hole whose danger zone lies across the way to
+  // (x, y), or null if the way is clear
+  findDetour(rocket, x, y) {
+    const sim = this.simulation;
+    let detour = null;
+    let best = Infinity;
+
+    sim.objects.forEach((hole) => {
+      if (!hole.live || hole.type !== GAME_CONSTANTS.HOLE) return;
+
+      const danger = this.getDangerRadius(rocket, hole);
+      if (
+        Math.hypot(x - hole.x, y - hole.y) < danger ||
+        distanceToSegment(hole.x, hole.y, rocket.x, rocket.y, x, y) >= danger
+      ) {
+        return;
+      }
+
+      // A twelfth of the way round it, clear of the danger zone, turning
+      // the shorter way. Any further and the way there would cut inside.
+      const distance = Math.hypot(hole.x - rocket.x, hole.y - rocket.y);
+      if (distance >= best) return;
+      const cross =
+        (rocket.x - hole.x) * (y - hole.y) - (rocket.y - hole.y) * (x - hole.x);
+      const angle =
+        Math.atan2(rocket.y - hole.y, rocket.x - hole.x) +
+        (cross < 0 ? -Math.PI / 6 : Math.PI / 6);
+      const reach = danger + rocket.radius;
+      detour = [
+        hole.x + Math.cos(angle) * reach,
+        hole.y + Math.sin(angle) * reach,
+      ];
+      best = distance;
+    });
+    return detour;
+  }
+
+  // How close the rocket can come to a hole before findEscape backs off
+  getDangerRadius(rocket, hole) {
+    const sim = this.simulation;
+    const { margin, dangerPull } = this.settings;
+    const limit = sim.tuning.thrust * dangerPull;
+    const range = sim.getGravityRange(hole);
+    const pullRadius = Math.min(
+      Math.sqrt((sim.GRAVITY_STRENGTH * sim.getGravityScale(hole)) / limit),
+      range.max,
+    );
+    return Math.max(hole.radius + rocket.radius + margin, pullRadius);
+  }
+
+  // Controls that thrust along (dx, dy), braking when the rocket is moving
+  // the other way (always when `urgent`) if the pilot uses brakes
+  thrustTowards(rocket, dx, dy, urgent = false) {
+    const length = Math.hypot(dx, dy);
+    if (length === 0) return IDLE;
+
+    const sim = this.simulation;
+    const moving = rocket.vx * dx + rocket.vy * dy;
+    const brake =
+      this.settings.brakes &&
+      sim.tuning.brake !== null &&
+      moving < 0 &&
+      (urgent || -moving > length * this.getTopSpeed(rocket) * 0.5);
+
+    return {
+      up: dy / length < -AXIS_THRESHOLD,
+      down: dy / length > AXIS_THRESHOLD,
+      left: dx / length < -AXIS_THRESHOLD,
+      right: dx / length > AXIS_THRESHOLD,
+      brake,
+    };
+  }
+
+  // Speed where thrust and friction balance
+  getTopSpeed(rocket) {
+    const { tuning, deltaTime } = this.simulation;
+    return (
+      ((tuning.thrust / rocket.mass) * deltaTime) / (1 - tuning.rocketFriction)
+    );
+  }
+
+  // Repeatable noise in -1..1 for this pilot and decision, so bots play the
+  // same way every time a seed is replayed
+  wobble() {
+    const sim = this.simulation;
+    const hash = SeededRandom.deriveSeed(
+      sim.seed,
+      sim.tick * MAX_PILOTS + this.playerId,
+    );
+    return (hash / 0x100000000) * 2 - 1;
+  }
+}
+
+// Input source mixing bots and keyboard players. Human players take the
+// keyboard schemes in order, so one human among bots always has player 1's
+// keys whichever slot they are in.
+export class PilotInput {
+  constructor(simulation, inputSource) {
+    this.simulation = simulation;
+    this.inputSource = inputSource;
+    this.pilots = [];
+    this.keyboardSlots = [];
+    this.setPilots([]);
+  }
+
+  // One entry per player slot: a PILOT_LEVELS id for a bot, or null (or
+  // nothing) for a human. Throws on unknown levels.
+  setPilots(levels = []) {
+    this.pilots = levels.map((level, playerId) =>
+      level
+        ? new AIPilot(this.simulation, playerId, level, (id) => this.pilots[id])
+        : null,
+    );
+
+    let humans = 0;
+    this.keyboardSlots = [];
+    for (let playerId = 0; playerId < MAX_PILOTS; playerId++) {
+      this.keyboardSlots.push(this.pilots[playerId] ? -1 : humans++);
+    }
+  }
+
+  getPilots() {
+    return this.pilots.map((pilot) => (pilot ? pilot.level : null));
+  }
+
+  isBot(playerId) {
+    return Boolean(this.pilots[playerId]);
+  }
+
+  // Player slot on a keyboard scheme, or -1 if no human has it
+  getKeyboardPlayer(scheme) {
+    return this.keyboardSlots.indexOf(scheme);
+  }
+
+  getPlayerControls(playerId) {
+    const pilot = this.pilots[playerId];
+    if (pilot) return pilot.getControls();
+    return this.inputSource.getPlayerControls(this.keyboardSlots[playerId]);
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Difficulty.js - Difficulty presets and gameplay mutators for Koules
+ *
+ * A preset fills in the physics and scoring tuning a game runs with;
+ * mutators then adjust that tuning one rule at a time. Both are chosen
+ * before a game and passed as startGame({ difficulty, mutators }).
+ */
+
+// Named presets; "classic" keeps the original values
+export const DIFFICULTY_PRESETS = {
+  casual: {
+    name: "Casual",
+    lives: 5,
+    extraLifeScore: 300, // Points between extra lives
+    gravityStrength: 700,
+    maxGravityDistance: 120,
+    thrust: 0.9, // Force per pressed direction
+    brake: 0.9, // Velocity kept per step while braking; null disables brakes
+    rocketFriction: 0.97, // Velocity kept per step
+    objectFriction: 0.99,
+    ballMassScale: 1,
+  },
+  classic: {
+    name: "Classic",
+    lives: 3,
+    extraLifeScore: 500,
+    gravityStrength: 1000,
+    maxGravityDistance: 150,
+    thrust: 0.8,
+    brake: 0.95,
+    rocketFriction: 0.98,
+    objectFriction: 0.995,
+    ballMassScale: 1,
+  },
+  extreme: {
+    name: "Extreme",
+    lives: 2,
+    extraLifeScore: 1000,
+    gravityStrength: 1400,
+    maxGravityDistance: 180,
+    thrust: 0.7,
+    brake: 0.97,
+    rocketFriction: 0.985,
+    objectFriction: 0.998,
+    ballMassScale: 1,
+  },
+};
+
+export const DEFAULT_DIFFICULTY = "classic";
+
+// Toggleable rule changes, applied in this order on top of the preset
+export const MUTATORS = {
+  doubleGravity: {
+    name: "Double Gravity",
+    apply: (tuning) => {
+      tuning.gravityStrength *= 2;
+    },
+  },
+  lowFriction: {
+    name: "Low Friction",
+    apply: (tuning) => {
+      tuning.rocketFriction = 0.995;
+      tuning.objectFriction = 0.999;
+    },
+  },
+  heavyBalls: {
+    name: "Heavy Balls",
+    apply: (tuning) => {
+      tuning.ballMassScale *= 2;
+    },
+  },
+  noBrakes: {
+    name: "No Brakes",
+    apply: (tuning) => {
+      tuning.brake = null;
+    },
+  },
+};
+
+// Tuning for a preset plus mutators; throws on unknown names so a typo in a
+// config doesn't silently fall back to another ruleset
+export function getDifficultyTuning(
+  difficulty = DEFAULT_DIFFICULTY,
+  mutators = [],
+) {
+  const preset = DIFFICULTY_PRESETS[difficulty];
+  if (!preset) {
+    throw new Error(`Unknown difficulty "${difficulty}"`);
+  }
+
+  mutators.forEach((id) => {
+    if (!MUTATORS[id]) throw new Error(`Unknown mutator "${id}"`);
+  });
+
+  const tuning = { ...preset };
+  Object.keys(MUTATORS).forEach((id) => {
+    if (mutators.includes(id)) MUTATORS[id].apply(tuning);
+  });
+  return tuning;
+}
+
+// Short label such as "Extreme + Double Gravity, No Brakes" for the HUD and
+// high-score entries
+export function describeDifficulty(difficulty, mutators = []) {
+  const preset = DIFFICULTY_PRESETS[difficulty] || { name: difficulty };
+  const names = Object.keys(MUTATORS)
+    .filter((id) => mutators.includes(id))
+    .map((id) => MUTATORS[id].name);
+  return names.length ? `${preset.name} + ${names.join(", ")}` : preset.name;
+}
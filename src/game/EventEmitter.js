@@ -0,0 +1,67 @@
+/**
+ * EventEmitter.js - Minimal event emitter for renderer-free modules
+ *
+ * Mirrors the subset of PIXI.utils.EventEmitter used by the game (on, once,
+ * off, emit) so simulation code can run in plain Node without Pixi.
+ */
+
+export class EventEmitter {
+  constructor() {
+    this._listeners = new Map();
+  }
+
+  on(event, fn, context) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, []);
+    }
+    this._listeners.get(event).push({ fn, context, once: false });
+    return this;
+  }
+
+  once(event, fn, context) {
+    this.on(event, fn, context);
+    const listeners = this._listeners.get(event);
+    listeners[listeners.length - 1].once = true;
+    return this;
+  }
+
+  off(event, fn, context) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return this;
+
+    const remaining = listeners.filter(
+      (listener) =>
+        (fn && listener.fn !== fn) ||
+        (context !== undefined && listener.context !== context),
+    );
+    if (remaining.length > 0) {
+      this._listeners.set(event, remaining);
+    } else {
+      this._listeners.delete(event);
+    }
+    return this;
+  }
+
+  emit(event, ...args) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return false;
+
+    // Copy so listeners may unsubscribe while being notified
+    for (const listener of [...listeners]) {
+      if (listener.once) {
+        this.off(event, listener.fn, listener.context);
+      }
+      listener.fn.apply(listener.context, args);
+    }
+    return true;
+  }
+
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this._listeners.clear();
+    } else {
+      this._listeners.delete(event);
+    }
+    return this;
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * GameConstants.js - Shared constants for Koules
+ *
+ * Object types, sizes, masses and colors used by both the simulation and
+ * the renderer
+ */
+
+// Game constants (from original koules.h)
+export const GAME_CONSTANTS = {
+  // Object types
+  ROCKET: 1,
+  BALL_SMALL: 2,
+  BALL_LARGE: 3,
+  CREATOR: 4,
+  HOLE: 5,
+  BBALL: 6,
+  APPLE: 7,
+  INSPECTOR: 8,
+  EHOLE: 9,
+  LUNATIC: 10,
+
+  // Radii
+  BALL_SMALL_RADIUS: 8,
+  BALL_LARGE_RADIUS: 16,
+  BBALL_RADIUS: 16,
+  APPLE_RADIUS: 32,
+  INSPECTOR_RADIUS: 14,
+  LUNATIC_RADIUS: 10,
+  CREATOR_RADIUS: 18,
+  HOLE_RADIUS: 12,
+  EHOLE_RADIUS: 12,
+  ROCKET_RADIUS: 14,
+
+  // Physics constants
+  ROCKET_SPEED: 1.2,
+  BALL_SPEED: 1.2,
+  BBALL_SPEED: 1.2,
+  SLOWDOWN: 0.8,
+  GUMM: 20,
+
+  // Mass transfer constants
+  MASS_TRANSFER_RATE: 0.05, // Percentage of mass to transfer per collision
+  MIN_MASS_THRESHOLD: 0.5, // Minimum mass an object can have
+  VELOCITY_THRESHOLD: 0.1, // Minimum velocity difference for mass transfer
+
+  // Black hole growth
+  HOLE_SUPERMASSIVE_PULL: 2, // Extra pull multiplier once a hole goes supermassive
+
+  // Rocket shields (speeds in pixels per step)
+  SHIELD_MAX: 100,
+  SHIELD_THRESHOLD: 1, // Impacts slower than this are harmless
+  SHIELD_DAMAGE: 2, // Damage per unit of excess speed per unit of mass
+  SHIELD_RECHARGE: 0.1, // Recovered per step
+  SHIELD_RECHARGE_DELAY: 90, // Steps after a hit before recharging starts
+
+  // Enemy behavior
+  INSPECTOR_THRUST: 0.08, // Steering force toward the nearest rocket
+  LUNATIC_THRUST: 0.6, // Random-walk thrust
+  LUNATIC_TURN: 0.3, // Maximum heading change per step (radians)
+  LUNATIC_LURCH_CHANCE: 0.02, // Chance per step of bolting in a new direction
+  CREATOR_INTERVAL: 300, // Steps between new balls
+  CREATOR_MAX_BALLS: 20, // Creators pause while this many balls are alive
+
+  // Points for knocking enemies into holes
+  INSPECTOR_SCORE: 30,
+  LUNATIC_SCORE: 25,
+  CREATOR_SCORE: 50,
+  APPLE_SCORE: 200, // Apples also grant a bonus life
+
+  // Masses
+  BALL_SMALL_MASS: 3,
+  BALL_LARGE_MASS: 6,
+  BBALLM: 8,
+  APPLEM: 34,
+  INSPECTORM: 2,
+  LUNATICM: 3.14,
+  CREATORM: 10,
+  HOLEM: 10, // Starting mass of a hole; pull scales with mass / HOLEM
+  ROCKETM: 4,
+
+  // Colors
+  ROCKET_COLORS: [0x606060, 0xa0a0a0, 0x404040, 0x606060, 0x808080],
+  BALL_SMALL_COLOR: 0x404040,
+  BALL_LARGE_COLOR: 0x606060,
+  BBALL_COLOR: 0x808080,
+  APPLE_COLOR: 0x404040,
+  HOLE_COLOR: 0x404040,
+  EHOLE_COLOR: 0x808080,
+  INSPECTOR_COLOR: 0x40a0a0,
+  LUNATIC_COLOR: 0xa06040,
+  CREATOR_COLOR: 0x6060a0,
+};
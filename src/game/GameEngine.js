@@ -1,66 +1,33 @@
 /**
  * GameEngine.js - Main game engine for Koules
  *
- * Handles game state, physics, collision detection, and rendering
+ * Pixi view layer over the renderer-free Simulation: drives it at a fixed
+ * timestep from the app ticker, mirrors its objects as sprites, and turns
+ * its events into sounds and visual effects
  * Based on the original Koules game mechanics
  */
 
 import * as PIXI from "pixi.js";
-
-// Game constants (from original koules.h)
-const GAME_CONSTANTS = {
-  // Object types
-  ROCKET: 1,
-  BALL_SMALL: 2,
-  BALL_LARGE: 3,
-  CREATOR: 4,
-  HOLE: 5,
-  BBALL: 6,
-  APPLE: 7,
-  INSPECTOR: 8,
-  EHOLE: 9,
-  LUNATIC: 10,
-
-  // Radii
-  BALL_SMALL_RADIUS: 8,
-  BALL_LARGE_RADIUS: 16,
-  BBALL_RADIUS: 16,
-  APPLE_RADIUS: 32,
-  INSPECTOR_RADIUS: 14,
-  LUNATIC_RADIUS: 10,
-  HOLE_RADIUS: 12,
-  ROCKET_RADIUS: 14,
-
-  // Physics constants
-  ROCKET_SPEED: 1.2,
-  BALL_SPEED: 1.2,
-  BBALL_SPEED: 1.2,
-  SLOWDOWN: 0.8,
-  GUMM: 20,
-
-  // Mass transfer constants
-  MASS_TRANSFER_RATE: 0.05, // Percentage of mass to transfer per collision
-  MIN_MASS_THRESHOLD: 0.5, // Minimum mass an object can have
-  VELOCITY_THRESHOLD: 0.1, // Minimum velocity difference for mass transfer
-
-  // Masses
-  BALL_SMALL_MASS: 3,
-  BALL_LARGE_MASS: 6,
-  BBALLM: 8,
-  APPLEM: 34,
-  INSPECTORM: 2,
-  LUNATICM: 3.14,
-  ROCKETM: 4,
-
-  // Colors
-  ROCKET_COLORS: [0x606060, 0xa0a0a0, 0x404040, 0x606060, 0x808080],
-  BALL_SMALL_COLOR: 0x404040,
-  BALL_LARGE_COLOR: 0x606060,
-  BBALL_COLOR: 0x808080,
-  APPLE_COLOR: 0x404040,
-  HOLE_COLOR: 0x404040,
-  EHOLE_COLOR: 0x808080,
-};
+import { PilotInput } from "./AIPilot.js";
+import { GAME_CONSTANTS } from "./GameConstants.js";
+import { LevelLoader } from "./LevelLoader.js";
+import { Replay, ReplayInput, ReplayRecorder } from "./Replay.js";
+import { SeededRandom } from "./SeededRandom.js";
+import { Simulation } from "./Simulation.js";
+
+// Simulation events re-emitted by the engine for the rest of the app
+const FORWARDED_EVENTS = [
+  "gameStarted",
+  "scoreUpdate",
+  "extraLife",
+  "levelComplete",
+  "gameOver",
+  "roundComplete",
+  "playerEliminated",
+  "ballInHole",
+  "rocketDestroyed",
+  "massTransfer",
+];
 
 export class GameEngine extends PIXI.utils.EventEmitter {
   constructor(app, inputManager, audioManager) {
@@ -70,37 +37,41 @@ export class GameEngine extends PIXI.utils.EventEmitter {
     this.inputManager = inputManager;
     this.audioManager = audioManager;
 
-    // Game state
-    this.gameState = "stopped"; // stopped, running, paused
-    this.level = 1;
-    this.score = 0;
-    this.lives = 3;
-    this.nextLifeAt = 500; // Next life awarded at this score
-    this.playerCount = 1;
-    this.gameMode = "cooperative";
-
-    // Game objects
-    this.objects = [];
-    this.rockets = [];
-    this.balls = [];
-    this.effects = [];
+    // Game rules and state live in the simulation; the engine only observes
+    this.simulation = new Simulation({
+      width: this.app.screen.width,
+      height: this.app.screen.height,
+    });
+    this.arenaSize = {
+      width: this.simulation.width,
+      height: this.simulation.height,
+    };
+
+    // Bots fly the player slots given to them; the rest read the keyboard
+    this.pilotInput = new PilotInput(this.simulation, this.inputManager);
+
+    // Every game is recorded from the controls the simulation reads, bots
+    // included, so it can be exported and played back (see Replay.js)
+    this.recorder = new ReplayRecorder(this.simulation, this.pilotInput);
+    this.simulation.inputSource = this.recorder;
+
+    // Replay being played back, or null during normal play
+    this.replay = null;
+    // Lockstep session of an online game, or null offline (see Lockstep.js)
+    this.netplay = null;
+    this.seeking = false; // Fast-forwarding a replay; skip effects and sounds
+
+    // Sprites for simulation objects
+    this.sprites = new Map();
 
     // Containers
     this.gameContainer = new PIXI.Container();
     this.app.stage.addChild(this.gameContainer);
 
-    // Game loop
-    this.lastTime = 0;
-    this.deltaTime = 0;
-
-    // Physics settings
-    this.gravity = 0;
-    this.friction = 0.99;
-
-    // Gravity constants
-    this.GRAVITY_STRENGTH = 1000;
-    this.MIN_GRAVITY_DISTANCE = 30;
-    this.MAX_GRAVITY_DISTANCE = 150;
+    // Game loop - the simulation advances in fixed steps regardless of the
+    // display refresh rate; rendering interpolates between the last two steps
+    this.MAX_FRAME_TIME = 0.25; // Clamp long frames (throttled tabs, breakpoints)
+    this.accumulator = 0;
 
     this.init();
   }
@@ -109,13 +80,106 @@ export class GameEngine extends PIXI.utils.EventEmitter {
     // Create background
     this.createBackground();
 
+    this.bindSimulationEvents();
+
     // Setup game loop
     this.app.ticker.add(this.gameLoop.bind(this));
 
     console.log("GameEngine initialized");
   }
 
+  bindSimulationEvents() {
+    const sim = this.simulation;
+
+    FORWARDED_EVENTS.forEach((event) => {
+      sim.on(event, (data) => this.emit(event, data));
+    });
+
+    sim.on("objectCreated", (obj) => {
+      const sprite = this.createSprite(obj);
+      this.sprites.set(obj, sprite);
+      this.gameContainer.addChild(sprite);
+    });
+
+    sim.on("objectRemoved", (obj) => {
+      const sprite = this.sprites.get(obj);
+      if (sprite) {
+        this.gameContainer.removeChild(sprite);
+        sprite.destroy({ children: true });
+        this.sprites.delete(obj);
+      }
+    });
+
+    // Sounds and particles are skipped while seeking through a replay
+    const onEffect = (event, handler) => {
+      sim.on(event, (data) => {
+        if (!this.seeking) handler(data);
+      });
+    };
+
+    onEffect("objectDestroyed", ({ object, cause }) => {
+      const isRocket = object.type === GAME_CONSTANTS.ROCKET;
+
+      // Collapsing holes go out with a bang of their own
+      if (cause === "collapse") {
+        this.audioManager.playSound("objectDeath");
+        this.createExplosion(object.x, object.y, 0xaa44ff);
+        return;
+      }
+
+      // Sunk balls get their own sound from ballInHole
+      if (
+        cause === "hole" &&
+        (object.type === GAME_CONSTANTS.BALL_SMALL ||
+          object.type === GAME_CONSTANTS.BALL_LARGE)
+      ) {
+        return;
+      }
+
+      // Play appropriate death sound
+      this.audioManager.playSound(isRocket ? "rocketDeath" : "objectDeath");
+
+      // Add explosion effect with color based on object type (and cause)
+      if (isRocket || cause === "wall") {
+        this.createExplosion(
+          object.x,
+          object.y,
+          isRocket ? 0xff4444 : 0xffaa44,
+        );
+      }
+    });
+
+    onEffect("collision", () => {
+      this.audioManager.playSound("collision");
+    });
+
+    onEffect("ballInHole", () => {
+      this.audioManager.playSound("ballInHole");
+    });
+
+    onEffect("extraLife", () => {
+      // Use happy sound for extra life
+      this.audioManager.playSound("levelComplete");
+    });
+
+    // Holes change size as they feed, so redraw them
+    sim.on("holeGrew", ({ hole }) => {
+      this.refreshSprite(hole);
+    });
+
+    onEffect("massTransfer", ({ x, y, amount }) => {
+      this.createMassTransferEffect(x, y, amount);
+    });
+  }
+
   createBackground() {
+    if (this.background) {
+      this.gameContainer.removeChild(this.background);
+      this.background.destroy({ children: true });
+    }
+
+    // Star field is derived from the game seed, independent of the level
+    const rng = new SeededRandom(this.simulation.seed);
     const bg = new PIXI.Graphics();
     bg.beginFill(0x000011);
     bg.drawRect(0, 0, this.app.screen.width, this.app.screen.height);
@@ -125,246 +189,339 @@ export class GameEngine extends PIXI.utils.EventEmitter {
     for (let i = 0; i < 50; i++) {
       const star = new PIXI.Graphics();
       star.beginFill(0x444444);
-      star.drawCircle(0, 0, Math.random() * 2 + 1);
+      star.drawCircle(0, 0, rng.range(1, 3));
       star.endFill();
-      star.x = Math.random() * this.app.screen.width;
-      star.y = Math.random() * this.app.screen.height;
+      star.x = rng.next() * this.app.screen.width;
+      star.y = rng.next() * this.app.screen.height;
       bg.addChild(star);
     }
 
-    this.gameContainer.addChild(bg);
+    this.background = bg;
+    this.gameContainer.addChildAt(bg, 0);
   }
 
+  // config.pilots sets a bot level per player slot (null for a human); see
+  // PilotInput
   async startGame(config) {
-    this.playerCount = config.playerCount || 1;
-    this.level = config.level || 1;
-    this.gameMode = config.gameMode || "cooperative";
-    this.score = 0;
-    this.lives = 3;
-    this.nextLifeAt = 500; // Reset life threshold
-
-    // Clear existing objects
-    this.clearGame();
-
-    // Initialize level
-    this.initLevel();
-
-    // Start game loop
-    this.gameState = "running";
-
-    this.emit("gameStarted", {
-      level: this.level,
-      playerCount: this.playerCount,
-      gameMode: this.gameMode,
-    });
-
-    console.log(
-      `Game started - Level: ${this.level}, Players: ${this.playerCount}`,
+    this.pilotInput.setPilots(config.pilots);
+    this.endReplay();
+    // Online games bring the host's arena size
+    this.setArenaSize(
+      config.width ?? this.arenaSize.width,
+      config.height ?? this.arenaSize.height,
     );
+    this.runGame(config);
+    this.recorder.start();
   }
 
-  clearGame() {
-    // Remove all game objects
-    this.objects.forEach((obj) => {
-      if (obj.sprite && obj.sprite.parent) {
-        obj.sprite.parent.removeChild(obj.sprite);
-      }
-    });
+  runGame(config) {
+    this.accumulator = 0;
+    this.simulation.startGame(config);
 
-    this.objects = [];
-    this.rockets = [];
-    this.balls = [];
-    this.effects = [];
+    // Star field follows the game seed
+    this.createBackground();
   }
 
-  initLevel() {
-    // Create rockets (players)
-    this.createRockets();
+  // Player slot of the person at this machine: theirs in an online game,
+  // otherwise the one on Player 1's keys. -1 when bots fly every rocket.
+  getLocalPlayerId() {
+    if (this.netplay) return this.netplay.playerId;
+    return this.pilotInput.getKeyboardPlayer(0);
+  }
 
-    // Create balls based on level
-    this.createBalls();
+  // Shareable code that reproduces the current level layout
+  getLevelCode() {
+    return this.simulation.getLevelCode();
+  }
 
-    // Create special objects
-    if (this.level > 1) {
-      this.createSpecialObjects();
-    }
+  static parseLevelCode(code) {
+    return Simulation.parseLevelCode(code);
   }
 
-  createRockets() {
-    // Calculate proportional positions based on screen size
-    const screenWidth = this.app.screen.width;
-    const screenHeight = this.app.screen.height;
-
-    const rocketPositions = [
-      { x: screenWidth * 0.125, y: screenHeight * 0.5 }, // Left side, center
-      { x: screenWidth * 0.875, y: screenHeight * 0.5 }, // Right side, center
-      { x: screenWidth * 0.5, y: screenHeight * 0.167 }, // Top center
-      { x: screenWidth * 0.5, y: screenHeight * 0.833 }, // Bottom center
-      { x: screenWidth * 0.25, y: screenHeight * 0.333 }, // Left upper
-    ];
-
-    for (let i = 0; i < this.playerCount; i++) {
-      const safePosition = this.findSafeSpawnPosition(rocketPositions[i]);
-
-      const rocket = this.createGameObject({
-        type: GAME_CONSTANTS.ROCKET,
-        x: safePosition.x,
-        y: safePosition.y,
-        playerId: i,
-        color: GAME_CONSTANTS.ROCKET_COLORS[i],
-      });
+  // Start a hand-made level from JSON text or a parsed level object. Throws
+  // LevelFormatError if the data doesn't describe a valid level.
+  async loadLevel(levelData, config = {}) {
+    // Validate before anything is torn down; the simulation parses it again
+    LevelLoader.parse(levelData);
+    await this.startGame({ ...config, levelData });
+  }
 
-      this.rockets.push(rocket);
+  async loadLevelFromUrl(url, config = {}) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load level ${url}: ${response.status}`);
     }
+    await this.loadLevel(await response.text(), config);
   }
 
-  createBalls() {
-    const ballCount = Math.min(8 + this.level, 15);
-
-    for (let i = 0; i < ballCount; i++) {
-      // Create mix of small and large balls (75% small, 25% large)
-      const isLarge = Math.random() < 0.25;
-      const ballType = isLarge
-        ? GAME_CONSTANTS.BALL_LARGE
-        : GAME_CONSTANTS.BALL_SMALL;
-      const ballColor = isLarge
-        ? GAME_CONSTANTS.BALL_LARGE_COLOR
-        : GAME_CONSTANTS.BALL_SMALL_COLOR;
-
-      const ball = this.createGameObject({
-        type: ballType,
-        x: Math.random() * (this.app.screen.width - 100) + 50,
-        y: Math.random() * (this.app.screen.height - 100) + 50,
-        vx: (Math.random() - 0.5) * 2,
-        vy: (Math.random() - 0.5) * 2,
-        color: ballColor,
-      });
+  // Saved games
 
-      this.balls.push(ball);
-    }
+  // Everything needed to continue the current game later, including its
+  // recording so far; JSON-ready (see Simulation.getSnapshot)
+  getSnapshot() {
+    return {
+      simulation: this.simulation.getSnapshot(),
+      replay: this.recorder.getReplay(),
+      pilots: this.pilotInput.getPilots(),
+    };
   }
 
-  createSpecialObjects() {
-    // Add holes
-    if (this.level > 2) {
-      for (let i = 0; i < Math.min(this.level - 2, 3); i++) {
-        this.createGameObject({
-          type: GAME_CONSTANTS.HOLE,
-          x: Math.random() * this.app.screen.width,
-          y: Math.random() * this.app.screen.height,
-          color: GAME_CONSTANTS.HOLE_COLOR,
-        });
+  // Continue a game from getSnapshot(), rebuilding every sprite. Throws if
+  // the snapshot can't be used.
+  restoreSnapshot(snapshot) {
+    const replay = Replay.parse(snapshot.replay);
+    this.pilotInput.setPilots(snapshot.pilots);
+
+    this.endReplay();
+    this.simulation.restoreSnapshot(snapshot.simulation);
+    this.setArenaSize(this.simulation.width, this.simulation.height);
+    this.recorder.resume(replay);
+    this.accumulator = 0;
+    this.createBackground();
+  }
+
+  // Online games
+
+  // Every rocket reads its controls from the lockstep session until
+  // endNetGame(); games started meanwhile are still recorded
+  startNetGame(lockstep) {
+    this.netplay = lockstep;
+    this.recorder.inputSource = lockstep;
+  }
+
+  endNetGame() {
+    this.netplay = null;
+    this.recorder.inputSource = this.pilotInput;
+  }
+
+  // A step only runs once every player's controls for it are in. Waiting
+  // doesn't bank time for a burst of steps later; falling behind the other
+  // players does earn a few extra steps.
+  updateNetGame(frameTime) {
+    const sim = this.simulation;
+    const net = this.netplay;
+    let catchUp = net.getCatchUpSteps();
+
+    this.accumulator += frameTime;
+    while (
+      sim.gameState === "running" &&
+      (this.accumulator >= sim.FIXED_TIMESTEP || catchUp > 0)
+    ) {
+      if (!net.ready()) {
+        this.accumulator = Math.min(this.accumulator, sim.FIXED_TIMESTEP);
+        break;
       }
-    }
+      sim.step();
+      net.advance();
 
-    // Add big balls
-    if (this.level > 3) {
-      for (let i = 0; i < Math.min(this.level - 3, 2); i++) {
-        this.createGameObject({
-          type: GAME_CONSTANTS.BBALL,
-          x: Math.random() * this.app.screen.width,
-          y: Math.random() * this.app.screen.height,
-          vx: Math.random() - 0.5,
-          vy: Math.random() - 0.5,
-          color: GAME_CONSTANTS.BBALL_COLOR,
-        });
+      if (this.accumulator >= sim.FIXED_TIMESTEP) {
+        this.accumulator -= sim.FIXED_TIMESTEP;
+      } else {
+        catchUp--;
       }
     }
   }
 
-  // Find a safe spawn position that's not within gravitational pull of black holes
-  findSafeSpawnPosition(preferredPosition) {
-    // Check if preferred position is safe
-    if (
-      this.isPositionSafeFromGravity(preferredPosition.x, preferredPosition.y)
-    ) {
-      return preferredPosition;
-    }
+  // Replays
 
-    // If not safe, try to find a safe position nearby
-    const maxAttempts = 50;
-    const minDistanceFromHole = this.MAX_GRAVITY_DISTANCE + 20; // Add buffer
+  // Recording of the game in progress (or the last one), or the replay
+  // being watched
+  getReplay() {
+    return this.replay ? this.replay.data : this.recorder.getReplay();
+  }
 
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      // Try positions in expanding circles around preferred position
-      const angle = (attempt * 137.5 * Math.PI) / 180; // Golden angle for good distribution
-      const radius = 50 + attempt * 10; // Expanding radius
+  // Watch a recorded game from JSON text or an object; throws
+  // ReplayFormatError for bad data
+  startReplay(data) {
+    const replay = Replay.parse(data);
+    this.replay = {
+      data: replay,
+      input: new ReplayInput(this.simulation, replay),
+      speed: 1,
+      paused: false,
+    };
+    this.restartReplay();
+  }
 
-      const testX = preferredPosition.x + Math.cos(angle) * radius;
-      const testY = preferredPosition.y + Math.sin(angle) * radius;
+  // Back to normal play at the real arena size
+  endReplay() {
+    if (!this.replay) return;
 
-      // Keep within screen bounds
-      const clampedX = Math.max(
-        50,
-        Math.min(this.app.screen.width - 50, testX),
-      );
-      const clampedY = Math.max(
-        50,
-        Math.min(this.app.screen.height - 50, testY),
-      );
+    this.replay = null;
+    this.simulation.inputSource = this.recorder;
+    this.setArenaSize(this.arenaSize.width, this.arenaSize.height);
+  }
 
-      if (this.isPositionSafeFromGravity(clampedX, clampedY)) {
-        return { x: clampedX, y: clampedY };
-      }
-    }
+  get isReplaying() {
+    return this.replay !== null;
+  }
+
+  getReplayStatus() {
+    if (!this.replay) return null;
+
+    return {
+      tick: this.simulation.tick,
+      length: this.replay.data.length,
+      speed: this.replay.speed,
+      paused: this.replay.paused,
+    };
+  }
+
+  setReplayPaused(paused) {
+    if (!this.replay) return;
+
+    this.replay.paused = paused;
+    this.accumulator = 0;
+    this.emit("replayProgress", this.getReplayStatus());
+  }
+
+  setReplaySpeed(speed) {
+    if (!this.replay) return;
+
+    this.replay.speed = speed;
+    this.emit("replayProgress", this.getReplayStatus());
+  }
+
+  // Advance a paused replay by exactly one simulation step
+  stepReplay() {
+    if (!this.replay) return;
+
+    this.replay.paused = true;
+    this.advanceReplayTick();
+    this.emit("replayProgress", this.getReplayStatus());
+  }
+
+  // Jump to a tick; going backwards replays from the start
+  seekReplay(tick) {
+    if (!this.replay) return;
 
-    // If no safe position found, use a fallback position far from holes
-    console.warn("Could not find safe spawn position, using fallback");
-    return this.getFallbackSpawnPosition();
+    const sim = this.simulation;
+    const target = Math.max(
+      0,
+      Math.min(this.replay.data.length, Math.round(tick)),
+    );
+    if (target < sim.tick) this.restartReplay();
+
+    this.seeking = true;
+    while (sim.tick < target && this.advanceReplayTick());
+    this.seeking = false;
+
+    this.accumulator = 0;
+    this.emit("replayProgress", this.getReplayStatus());
+  }
+
+  restartReplay() {
+    const { config } = this.replay.data;
+    this.setArenaSize(
+      config.width ?? this.arenaSize.width,
+      config.height ?? this.arenaSize.height,
+    );
+    this.simulation.inputSource = this.replay.input;
+    this.runGame(config);
   }
 
-  // Check if a position is safe from gravitational pull of all holes
-  isPositionSafeFromGravity(x, y) {
-    for (const obj of this.objects) {
-      if (obj.type === GAME_CONSTANTS.HOLE && obj.live) {
-        const dx = obj.x - x;
-        const dy = obj.y - y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-
-        // Position is unsafe if within gravitational range
-        if (distance < this.MAX_GRAVITY_DISTANCE) {
-          return false;
+  // One recorded step, including any level restart made just before it.
+  // Returns false once the recording or the game has ended.
+  advanceReplayTick() {
+    const sim = this.simulation;
+    const { length, restarts } = this.replay.data;
+    if (sim.tick >= length || sim.gameState !== "running") return false;
+
+    restarts.forEach((tick) => {
+      if (tick === sim.tick) sim.restartLevel();
+    });
+    sim.step();
+    return true;
+  }
+
+  // Consume real time at the replay's speed, then stop at the end
+  updateReplay(frameTime) {
+    const sim = this.simulation;
+    const replay = this.replay;
+
+    if (!replay.paused) {
+      this.accumulator += frameTime * replay.speed;
+      while (this.accumulator >= sim.FIXED_TIMESTEP) {
+        if (!this.advanceReplayTick()) {
+          replay.paused = true;
+          this.accumulator = 0;
+          break;
         }
+        this.accumulator -= sim.FIXED_TIMESTEP;
       }
     }
-    return true;
+
+    this.emit("replayProgress", this.getReplayStatus());
+  }
+
+  // Replays run at the arena size they were recorded with, scaled to fit
+  // the screen
+  setArenaSize(width, height) {
+    const sim = this.simulation;
+    sim.width = width;
+    sim.height = height;
+    this.gameContainer.scale.set(
+      Math.min(
+        this.app.screen.width / width,
+        this.app.screen.height / height,
+        1,
+      ),
+    );
   }
 
-  // Get a fallback spawn position in the center of the screen
-  getFallbackSpawnPosition() {
-    return {
-      x: this.app.screen.width / 2,
-      y: this.app.screen.height / 2,
-    };
+  // Read-only views of simulation state for the rest of the app
+  get gameState() {
+    return this.simulation.gameState;
   }
 
-  createGameObject(config) {
-    const obj = {
-      type: config.type,
-      x: config.x || 0,
-      y: config.y || 0,
-      vx: config.vx || 0,
-      vy: config.vy || 0,
-      fx: 0, // forces
-      fy: 0,
-      rotation: config.rotation || 0,
-      angularVelocity: 0,
-      radius: this.getRadius(config.type),
-      mass: this.getMass(config.type),
-      live: true,
-      playerId: config.playerId || -1,
-      color: config.color || 0xffffff,
-      sprite: null,
-      fx: 0,
-      fy: 0,
-    };
+  get level() {
+    return this.simulation.level;
+  }
+
+  get score() {
+    return this.simulation.score;
+  }
+
+  get lives() {
+    return this.simulation.lives;
+  }
+
+  get playerCount() {
+    return this.simulation.playerCount;
+  }
+
+  get gameMode() {
+    return this.simulation.gameMode;
+  }
 
-    // Create sprite
-    obj.sprite = this.createSprite(obj);
-    this.gameContainer.addChild(obj.sprite);
+  get players() {
+    return this.simulation.players;
+  }
+
+  get round() {
+    return this.simulation.round;
+  }
 
-    this.objects.push(obj);
-    return obj;
+  get seed() {
+    return this.simulation.seed;
+  }
+
+  get objects() {
+    return this.simulation.objects;
+  }
+
+  // Replace an object's sprite after its appearance changed, keeping its
+  // place in the draw order
+  refreshSprite(obj) {
+    const oldSprite = this.sprites.get(obj);
+    if (!oldSprite) return;
+
+    const sprite = this.createSprite(obj);
+    const index = this.gameContainer.getChildIndex(oldSprite);
+    this.gameContainer.removeChildAt(index);
+    this.gameContainer.addChildAt(sprite, index);
+    oldSprite.destroy({ children: true });
+    this.sprites.set(obj, sprite);
   }
 
   createSprite(obj) {
@@ -415,22 +572,127 @@ export class GameEngine extends PIXI.utils.EventEmitter {
         }
         break;
 
-      case GAME_CONSTANTS.HOLE:
-        // Draw gravity field visualization (faint rings)
-        graphics.lineStyle(1, 0x333333, 0.3);
-        graphics.drawCircle(0, 0, this.MIN_GRAVITY_DISTANCE);
+      case GAME_CONSTANTS.HOLE: {
+        // Draw gravity field visualization (faint rings), which widens as
+        // the hole feeds
+        const range = this.simulation.getGravityRange(obj);
+        const growth = range.min / this.simulation.MIN_GRAVITY_DISTANCE;
+        const ringColor = obj.supermassive ? 0x553333 : 0x333333;
+        graphics.lineStyle(1, ringColor, 0.3);
+        graphics.drawCircle(0, 0, range.min);
         graphics.lineStyle(1, 0x222222, 0.2);
-        graphics.drawCircle(0, 0, this.MIN_GRAVITY_DISTANCE + 30);
+        graphics.drawCircle(0, 0, range.min + 30 * growth);
         graphics.lineStyle(1, 0x111111, 0.1);
-        graphics.drawCircle(0, 0, this.MIN_GRAVITY_DISTANCE + 60);
+        graphics.drawCircle(0, 0, range.min + 60 * growth);
 
         // Draw the hole itself
         graphics.beginFill(0x000000);
         graphics.drawCircle(0, 0, obj.radius);
         graphics.endFill();
+        graphics.lineStyle(2, obj.supermassive ? 0xaa4444 : obj.color);
+        graphics.drawCircle(0, 0, obj.radius);
+        break;
+      }
+
+      case GAME_CONSTANTS.INSPECTOR:
+        // Draw inspector as an eye whose pupil points at its target
+        graphics.beginFill(obj.color);
+        graphics.drawCircle(0, 0, obj.radius);
+        graphics.endFill();
+        graphics.lineStyle(2, 0x80ffff);
+        graphics.drawCircle(0, 0, obj.radius);
+        graphics.lineStyle(0);
+        graphics.beginFill(0xffffff);
+        graphics.drawCircle(0, -obj.radius * 0.35, obj.radius * 0.45);
+        graphics.endFill();
+        graphics.beginFill(0x000000);
+        graphics.drawCircle(0, -obj.radius * 0.5, obj.radius * 0.2);
+        graphics.endFill();
+        break;
+
+      case GAME_CONSTANTS.LUNATIC:
+        // Draw lunatic as a jagged star that points where it is heading
+        graphics.beginFill(obj.color);
+        for (let i = 0; i < 14; i++) {
+          const angle = (i / 14) * Math.PI * 2 - Math.PI / 2;
+          const r = i % 2 === 0 ? obj.radius * 1.2 : obj.radius * 0.6;
+          if (i === 0) {
+            graphics.moveTo(Math.cos(angle) * r, Math.sin(angle) * r);
+          } else {
+            graphics.lineTo(Math.cos(angle) * r, Math.sin(angle) * r);
+          }
+        }
+        graphics.closePath();
+        graphics.endFill();
+        graphics.lineStyle(1, 0xffcc88);
+        graphics.drawCircle(0, 0, obj.radius * 0.4);
+        break;
+
+      case GAME_CONSTANTS.CREATOR:
+        // Draw creator as a hexagon with a clutch of balls inside
+        graphics.beginFill(obj.color);
+        graphics.lineStyle(2, 0xa0a0ff);
+        for (let i = 0; i < 6; i++) {
+          const angle = (i / 6) * Math.PI * 2;
+          const x = Math.cos(angle) * obj.radius;
+          const y = Math.sin(angle) * obj.radius;
+          if (i === 0) {
+            graphics.moveTo(x, y);
+          } else {
+            graphics.lineTo(x, y);
+          }
+        }
+        graphics.closePath();
+        graphics.endFill();
+        graphics.lineStyle(0);
+        graphics.beginFill(GAME_CONSTANTS.BALL_SMALL_COLOR);
+        for (let i = 0; i < 3; i++) {
+          const angle = (i / 3) * Math.PI * 2 - Math.PI / 2;
+          graphics.drawCircle(
+            Math.cos(angle) * obj.radius * 0.4,
+            Math.sin(angle) * obj.radius * 0.4,
+            obj.radius * 0.25,
+          );
+        }
+        graphics.endFill();
+        break;
+
+      case GAME_CONSTANTS.EHOLE: {
+        // Draw repulsion field as rings with outward chevrons
+        const minDistance = this.simulation.MIN_GRAVITY_DISTANCE;
+        graphics.lineStyle(1, 0x5050a0, 0.3);
+        graphics.drawCircle(0, 0, minDistance);
+        graphics.lineStyle(1, 0x404080, 0.2);
+        graphics.drawCircle(0, 0, minDistance + 30);
+        graphics.lineStyle(1, 0x303060, 0.1);
+        graphics.drawCircle(0, 0, minDistance + 60);
+
+        graphics.lineStyle(1, 0x6060c0, 0.3);
+        for (let i = 0; i < 8; i++) {
+          const angle = (i / 8) * Math.PI * 2;
+          const r = minDistance + 15;
+          const tipX = Math.cos(angle) * (r + 5);
+          const tipY = Math.sin(angle) * (r + 5);
+          graphics.moveTo(
+            Math.cos(angle - 0.15) * r,
+            Math.sin(angle - 0.15) * r,
+          );
+          graphics.lineTo(tipX, tipY);
+          graphics.lineTo(
+            Math.cos(angle + 0.15) * r,
+            Math.sin(angle + 0.15) * r,
+          );
+        }
+
+        // Draw the solid core objects bounce off
+        graphics.lineStyle(0);
+        graphics.beginFill(0x202040);
+        graphics.drawCircle(0, 0, obj.radius);
+        graphics.endFill();
         graphics.lineStyle(2, obj.color);
         graphics.drawCircle(0, 0, obj.radius);
         break;
+      }
 
       case GAME_CONSTANTS.APPLE:
         graphics.beginFill(0xff4444);
@@ -464,6 +726,13 @@ export class GameEngine extends PIXI.utils.EventEmitter {
     // Store reference to mass text for updates
     container.massText = massText;
 
+    // Rockets wear a ring showing how much shield is left
+    if (obj.type === GAME_CONSTANTS.ROCKET) {
+      container.shieldRing = new PIXI.Graphics();
+      container.addChild(container.shieldRing);
+      this.drawShieldRing(container, obj);
+    }
+
     container.x = obj.x;
     container.y = obj.y;
     container.rotation = obj.rotation;
@@ -471,323 +740,140 @@ export class GameEngine extends PIXI.utils.EventEmitter {
     return container;
   }
 
-  getRadius(type) {
-    switch (type) {
-      case GAME_CONSTANTS.ROCKET:
-        return GAME_CONSTANTS.ROCKET_RADIUS;
-      case GAME_CONSTANTS.BALL_SMALL:
-        return GAME_CONSTANTS.BALL_SMALL_RADIUS;
-      case GAME_CONSTANTS.BALL_LARGE:
-        return GAME_CONSTANTS.BALL_LARGE_RADIUS;
-      case GAME_CONSTANTS.BBALL:
-        return GAME_CONSTANTS.BBALL_RADIUS;
-      case GAME_CONSTANTS.HOLE:
-        return GAME_CONSTANTS.HOLE_RADIUS;
-      case GAME_CONSTANTS.APPLE:
-        return GAME_CONSTANTS.APPLE_RADIUS;
-      case GAME_CONSTANTS.INSPECTOR:
-        return GAME_CONSTANTS.INSPECTOR_RADIUS;
-      case GAME_CONSTANTS.LUNATIC:
-        return GAME_CONSTANTS.LUNATIC_RADIUS;
-      default:
-        return 10;
-    }
-  }
+  gameLoop() {
+    const sim = this.simulation;
+    if (!this.replay && sim.gameState !== "running") return;
 
-  getMass(type) {
-    switch (type) {
-      case GAME_CONSTANTS.ROCKET:
-        return GAME_CONSTANTS.ROCKETM;
-      case GAME_CONSTANTS.BALL_SMALL:
-        return GAME_CONSTANTS.BALL_SMALL_MASS;
-      case GAME_CONSTANTS.BALL_LARGE:
-        return GAME_CONSTANTS.BALL_LARGE_MASS;
-      case GAME_CONSTANTS.BBALL:
-        return GAME_CONSTANTS.BBALLM;
-      case GAME_CONSTANTS.APPLE:
-        return GAME_CONSTANTS.APPLEM;
-      case GAME_CONSTANTS.INSPECTOR:
-        return GAME_CONSTANTS.INSPECTORM;
-      case GAME_CONSTANTS.LUNATIC:
-        return GAME_CONSTANTS.LUNATICM;
-      default:
-        return 1;
-    }
-  }
-
-  gameLoop(delta) {
-    if (this.gameState !== "running") return;
-
-    this.deltaTime = delta / 60; // Convert to seconds
-
-    // Process input
-    this.processInput();
-
-    // Update physics
-    this.updatePhysics();
+    // Accumulate real elapsed time and consume it in fixed simulation steps
+    const frameTime = Math.min(
+      this.app.ticker.deltaMS / 1000,
+      this.MAX_FRAME_TIME,
+    );
 
-    // Check collisions
-    this.checkCollisions();
+    if (this.replay) {
+      this.updateReplay(frameTime);
+    } else if (this.netplay) {
+      this.updateNetGame(frameTime);
+    } else {
+      this.accumulator += frameTime;
 
-    // Update objects
-    this.updateObjects();
+      while (
+        this.accumulator >= sim.FIXED_TIMESTEP &&
+        sim.gameState === "running"
+      ) {
+        sim.step();
+        this.accumulator -= sim.FIXED_TIMESTEP;
+      }
+    }
 
-    // Check win/lose conditions
-    this.checkGameState();
+    // Blend between the previous and current step for smooth rendering; a
+    // paused replay shows the step it stopped on
+    const alpha =
+      this.replay && this.replay.paused
+        ? 1
+        : Math.min(this.accumulator / sim.FIXED_TIMESTEP, 1);
+    this.updateObjects(alpha);
 
     // Update gravity effects
     this.updateGravityEffects();
 
     // Update score display
     this.emit("scoreUpdate", {
-      score: this.score,
-      level: this.level,
-      lives: this.lives,
-    });
-  }
-
-  processInput() {
-    this.rockets.forEach((rocket, index) => {
-      if (!rocket.live) return;
-
-      const controls = this.inputManager.getPlayerControls(index);
-
-      // Reset forces
-      rocket.fx = 0;
-      rocket.fy = 0;
-
-      // Apply thrust forces based on input
-      const thrustForce = 0.8;
-      const brakeForce = 0.95;
-
-      if (controls.up) {
-        rocket.fy -= thrustForce;
-      }
-      if (controls.down) {
-        rocket.fy += thrustForce;
-      }
-      if (controls.left) {
-        rocket.fx -= thrustForce;
-      }
-      if (controls.right) {
-        rocket.fx += thrustForce;
-      }
-
-      // Brake - apply counter-force and direct velocity reduction
-      if (controls.brake) {
-        rocket.fx -= rocket.vx * 0.1;
-        rocket.fy -= rocket.vy * 0.1;
-        rocket.vx *= brakeForce;
-        rocket.vy *= brakeForce;
-      }
-    });
-  }
-
-  updatePhysics() {
-    this.objects.forEach((obj) => {
-      if (!obj.live) return;
-
-      // Apply gravitational forces from holes
-      this.applyGravity(obj);
-
-      // Apply forces to acceleration (F = ma, so a = F/m)
-      if (obj.fx !== undefined && obj.fy !== undefined) {
-        const ax = obj.fx / obj.mass;
-        const ay = obj.fy / obj.mass;
-
-        // Update velocity with acceleration
-        obj.vx += ax * this.deltaTime;
-        obj.vy += ay * this.deltaTime;
-      }
-
-      // Apply friction (different for rockets vs other objects)
-      const friction = obj.type === GAME_CONSTANTS.ROCKET ? 0.98 : 0.995;
-      obj.vx *= friction;
-      obj.vy *= friction;
-
-      // Cap maximum velocity to prevent runaway speeds
-      const maxVel = obj.type === GAME_CONSTANTS.ROCKET ? 8 : 6;
-      const vel = Math.sqrt(obj.vx * obj.vx + obj.vy * obj.vy);
-      if (vel > maxVel) {
-        obj.vx = (obj.vx / vel) * maxVel;
-        obj.vy = (obj.vy / vel) * maxVel;
-      }
-
-      // Update position
-      obj.x += obj.vx;
-      obj.y += obj.vy;
-
-      // Update rotation for rockets based on thrust direction
-      if (obj.type === GAME_CONSTANTS.ROCKET) {
-        if (obj.fx !== 0 || obj.fy !== 0) {
-          obj.rotation = Math.atan2(obj.fy, obj.fx) + Math.PI / 2;
-        }
-      }
-
-      // Keep objects within bounds
-      this.keepInBounds(obj);
+      score: sim.score,
+      level: sim.level,
+      lives: sim.lives,
+      gameMode: sim.gameMode,
+      round: sim.round,
+      players: sim.players,
     });
   }
 
-  keepInBounds(obj) {
-    const margin = obj.radius;
-
-    // Check for boundary collision
-    const hitLeft = obj.x < margin;
-    const hitRight = obj.x > this.app.screen.width - margin;
-    const hitTop = obj.y < margin;
-    const hitBottom = obj.y > this.app.screen.height - margin;
-
-    if (hitLeft || hitRight || hitTop || hitBottom) {
-      // Skip holes - they don't move and shouldn't die
-      if (obj.type === GAME_CONSTANTS.HOLE) {
-        return;
-      }
-
-      // All movable objects die when hitting walls
-      obj.live = false;
-
-      // Award points for destroying balls
-      if (obj.type === GAME_CONSTANTS.BALL_SMALL) {
-        this.score += 5; // 5 points for small ball wall destruction
-        this.checkExtraLife();
-      } else if (obj.type === GAME_CONSTANTS.BALL_LARGE) {
-        this.score += 10; // 10 points for large ball wall destruction (2x small)
-        this.checkExtraLife();
-      }
-
-      // Play appropriate death sound
-      if (obj.type === GAME_CONSTANTS.ROCKET) {
-        this.audioManager.playSound("rocketDeath");
-      } else {
-        this.audioManager.playSound("objectDeath");
-      }
-
-      // Add explosion effect with color based on object type
-      const explosionColor =
-        obj.type === GAME_CONSTANTS.ROCKET ? 0xff4444 : 0xffaa44;
-      this.createExplosion(obj.x, obj.y, explosionColor);
+  updateObjects(alpha = 1) {
+    // Levels can bring their own walls
+    if (this.shownWalls !== this.simulation.walls) {
+      this.drawWalls();
     }
-  }
-
-  checkCollisions() {
-    for (let i = 0; i < this.objects.length; i++) {
-      for (let j = i + 1; j < this.objects.length; j++) {
-        const obj1 = this.objects[i];
-        const obj2 = this.objects[j];
 
-        if (!obj1.live || !obj2.live) continue;
+    this.simulation.objects.forEach((obj) => {
+      const sprite = this.sprites.get(obj);
+      if (sprite) {
+        sprite.x = obj.prevX + (obj.x - obj.prevX) * alpha;
+        sprite.y = obj.prevY + (obj.y - obj.prevY) * alpha;
 
-        const dx = obj2.x - obj1.x;
-        const dy = obj2.y - obj1.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        const minDistance = obj1.radius + obj2.radius;
+        // Interpolate rotation along the shortest arc
+        let dr = obj.rotation - obj.prevRotation;
+        dr = Math.atan2(Math.sin(dr), Math.cos(dr));
+        sprite.rotation = obj.prevRotation + dr * alpha;
 
-        if (distance < minDistance) {
-          this.handleCollision(obj1, obj2, dx, dy, distance);
+        // Update mass display
+        if (sprite.massText) {
+          sprite.massText.text = Math.round(obj.mass * 10) / 10;
         }
-      }
-    }
-  }
-
-  handleCollision(obj1, obj2, dx, dy, distance) {
-    // Normalize collision vector
-    const nx = dx / distance;
-    const ny = dy / distance;
-
-    // Separate objects
-    const overlap = (obj1.radius + obj2.radius - distance) / 2;
-    obj1.x -= nx * overlap;
-    obj1.y -= ny * overlap;
-    obj2.x += nx * overlap;
-    obj2.y += ny * overlap;
-
-    // Calculate relative velocity
-    const dvx = obj2.vx - obj1.vx;
-    const dvy = obj2.vy - obj1.vy;
-    const dvn = dvx * nx + dvy * ny;
-
-    // Don't resolve if velocities are separating
-    if (dvn > 0) return;
 
-    // Calculate collision impulse
-    const impulse = (2 * dvn) / (obj1.mass + obj2.mass);
-
-    // Apply impulse
-    obj1.vx += impulse * obj2.mass * nx;
-    obj1.vy += impulse * obj2.mass * ny;
-    obj2.vx -= impulse * obj1.mass * nx;
-    obj2.vy -= impulse * obj1.mass * ny;
-
-    // Mass transfer based on relative velocities
-    this.handleMassTransfer(obj1, obj2);
+        if (sprite.shieldRing && sprite.shownShield !== obj.shield) {
+          this.drawShieldRing(sprite, obj);
+        }
 
-    // Handle special collision cases
-    this.handleSpecialCollisions(obj1, obj2);
+        // Blink while freshly respawned rockets can't be hurt
+        const sim = this.simulation;
+        sprite.alpha =
+          sim.isInvulnerable(obj) && Math.floor(sim.tick / 8) % 2 ? 0.3 : 1;
 
-    // Play collision sound
-    this.audioManager.playSound("collision");
+        // Hide dead objects
+        sprite.visible = obj.live;
+      }
+    });
   }
 
-  handleMassTransfer(obj1, obj2) {
-    // Skip mass transfer for special objects (holes, creators, etc.)
-    const transferableTypes = [
-      GAME_CONSTANTS.ROCKET,
-      GAME_CONSTANTS.BALL_SMALL,
-      GAME_CONSTANTS.BALL_LARGE,
-      GAME_CONSTANTS.BBALL,
-      GAME_CONSTANTS.APPLE,
-      GAME_CONSTANTS.INSPECTOR,
-      GAME_CONSTANTS.LUNATIC,
-    ];
-
-    if (
-      !transferableTypes.includes(obj1.type) ||
-      !transferableTypes.includes(obj2.type)
-    ) {
-      return;
-    }
-
-    // Calculate velocity magnitudes
-    const vel1 = Math.sqrt(obj1.vx * obj1.vx + obj1.vy * obj1.vy);
-    const vel2 = Math.sqrt(obj2.vx * obj2.vx + obj2.vy * obj2.vy);
-
-    // Only transfer mass if there's a significant velocity difference
-    if (Math.abs(vel1 - vel2) < GAME_CONSTANTS.VELOCITY_THRESHOLD) {
-      return;
-    }
-
-    // Determine which object is faster and which is slower
-    let fasterObj, slowerObj;
-    if (vel1 > vel2) {
-      fasterObj = obj1;
-      slowerObj = obj2;
-    } else {
-      fasterObj = obj2;
-      slowerObj = obj1;
+  // Arena edges in the color of their wall mode; wrapping sides stay open
+  drawWalls() {
+    if (!this.wallLines) {
+      this.wallLines = new PIXI.Graphics();
+      this.gameContainer.addChildAt(this.wallLines, 1);
     }
 
-    // Calculate mass transfer amount (proportional to velocity difference)
-    const velocityDifference = Math.abs(vel1 - vel2);
-    const baseMassTransfer = slowerObj.mass * GAME_CONSTANTS.MASS_TRANSFER_RATE;
-    const massTransfer = baseMassTransfer * Math.min(velocityDifference / 5, 1); // Cap the multiplier
-
-    // Ensure slower object doesn't go below minimum mass
-    const actualMassTransfer = Math.min(
-      massTransfer,
-      slowerObj.mass - GAME_CONSTANTS.MIN_MASS_THRESHOLD,
-    );
-
-    // Only transfer if there's actually mass to transfer
-    if (actualMassTransfer > 0) {
-      slowerObj.mass -= actualMassTransfer;
-      fasterObj.mass += actualMassTransfer;
+    const walls = this.simulation.walls;
+    const { width, height } = this.simulation;
+    const colors = { deadly: 0xff3333, bouncy: 0x33ccff };
+    const edges = {
+      top: [0, 0, width, 0],
+      right: [width, 0, width, height],
+      bottom: [0, height, width, height],
+      left: [0, 0, 0, height],
+    };
 
-      // Visual feedback: create small particle effect at collision point
-      const midX = (obj1.x + obj2.x) / 2;
-      const midY = (obj1.y + obj2.y) / 2;
-      this.createMassTransferEffect(midX, midY, actualMassTransfer);
+    const lines = this.wallLines;
+    lines.clear();
+    Object.keys(edges).forEach((side) => {
+      if (!(walls[side] in colors)) return;
+      const [x1, y1, x2, y2] = edges[side];
+      lines.lineStyle(3, colors[walls[side]], 0.5);
+      lines.moveTo(x1, y1);
+      lines.lineTo(x2, y2);
+    });
+    this.shownWalls = walls;
+  }
+
+  // Arc around the rocket that shrinks and shifts from green to red as the
+  // shield drains
+  drawShieldRing(sprite, rocket) {
+    const fraction = rocket.shield / this.simulation.shield.max;
+    const red = Math.round(255 * (1 - fraction));
+    const green = Math.round(255 * fraction);
+    const ring = sprite.shieldRing;
+
+    ring.clear();
+    if (fraction > 0) {
+      ring.lineStyle(2, (red << 16) | (green << 8), 0.4 + 0.4 * (1 - fraction));
+      ring.arc(
+        0,
+        0,
+        rocket.radius + 4,
+        -Math.PI / 2,
+        -Math.PI / 2 + fraction * Math.PI * 2,
+      );
     }
+    sprite.shownShield = rocket.shield;
   }
 
   createMassTransferEffect(x, y, massAmount) {
@@ -821,176 +907,18 @@ export class GameEngine extends PIXI.utils.EventEmitter {
     fadeOut();
   }
 
-  handleSpecialCollisions(obj1, obj2) {
-    // Ball into hole (scoring)
-    if (
-      ((obj1.type === GAME_CONSTANTS.BALL_SMALL ||
-        obj1.type === GAME_CONSTANTS.BALL_LARGE) &&
-        obj2.type === GAME_CONSTANTS.HOLE) ||
-      ((obj2.type === GAME_CONSTANTS.BALL_SMALL ||
-        obj2.type === GAME_CONSTANTS.BALL_LARGE) &&
-        obj1.type === GAME_CONSTANTS.HOLE)
-    ) {
-      const ball =
-        obj1.type === GAME_CONSTANTS.BALL_SMALL ||
-        obj1.type === GAME_CONSTANTS.BALL_LARGE
-          ? obj1
-          : obj2;
-      ball.live = false;
-      // Award points based on ball size
-      if (ball.type === GAME_CONSTANTS.BALL_SMALL) {
-        this.score += 10; // 10 points for small ball hole scoring
-      } else if (ball.type === GAME_CONSTANTS.BALL_LARGE) {
-        this.score += 20; // 20 points for large ball hole scoring (2x small)
-      }
-      this.checkExtraLife();
-      this.audioManager.playSound("ballInHole");
-      return;
-    }
-
-    // Rocket into hole (death)
-    if (
-      (obj1.type === GAME_CONSTANTS.ROCKET &&
-        obj2.type === GAME_CONSTANTS.HOLE) ||
-      (obj2.type === GAME_CONSTANTS.ROCKET && obj1.type === GAME_CONSTANTS.HOLE)
-    ) {
-      const rocket = obj1.type === GAME_CONSTANTS.ROCKET ? obj1 : obj2;
-      const hole = obj1.type === GAME_CONSTANTS.HOLE ? obj1 : obj2;
-
-      rocket.live = false;
-      this.audioManager.playSound("rocketDeath");
-      this.createExplosion(rocket.x, rocket.y, 0xff4444);
-      return;
-    }
-
-    // Rocket collision damage
-    if (
-      obj1.type === GAME_CONSTANTS.ROCKET ||
-      obj2.type === GAME_CONSTANTS.ROCKET
-    ) {
-      // Handle rocket damage logic here
-    }
-  }
-
-  updateObjects() {
-    this.objects.forEach((obj) => {
-      if (obj.sprite) {
-        obj.sprite.x = obj.x;
-        obj.sprite.y = obj.y;
-        obj.sprite.rotation = obj.rotation;
-
-        // Update mass display
-        if (obj.sprite.massText) {
-          obj.sprite.massText.text = Math.round(obj.mass * 10) / 10;
-        }
-
-        // Hide dead objects
-        obj.sprite.visible = obj.live;
-      }
-    });
-
-    // Remove dead objects
-    this.objects = this.objects.filter((obj) => {
-      if (!obj.live && obj.sprite) {
-        this.gameContainer.removeChild(obj.sprite);
-        return false;
-      }
-      return true;
-    });
-  }
-
-  checkGameState() {
-    // Check if all balls are destroyed
-    const aliveBalls = this.objects.filter(
-      (obj) =>
-        obj.live &&
-        (obj.type === GAME_CONSTANTS.BALL_SMALL ||
-          obj.type === GAME_CONSTANTS.BALL_LARGE),
-    );
-
-    if (aliveBalls.length === 0) {
-      // Award level completion bonus
-      this.score += 100;
-
-      this.emit("levelComplete", {
-        level: this.level,
-        score: this.score,
-        levelBonus: 100,
-      });
-
-      // Check for extra life after level bonus
-      this.checkExtraLife();
-    }
-
-    // Check if all rockets are destroyed
-    const aliveRockets = this.rockets.filter((rocket) => rocket.live);
-    if (aliveRockets.length === 0) {
-      this.lives--;
-      if (this.lives <= 0) {
-        this.emit("gameOver", {
-          score: this.score,
-          level: this.level,
-        });
-      } else {
-        this.restartLevel();
-      }
-    }
-  }
-
-  pause() {
-    this.gameState = "paused";
-  }
-
-  resume() {
-    this.gameState = "running";
-  }
-
-  restartLevel() {
-    this.clearGame();
-    this.initLevel();
-    this.gameState = "running";
-  }
-
-  applyGravity(obj) {
-    // Skip holes - they don't get affected by gravity
-    if (obj.type === GAME_CONSTANTS.HOLE) return;
-
-    // Apply gravitational pull from all holes
-    this.objects.forEach((hole) => {
-      if (!hole.live || hole.type !== GAME_CONSTANTS.HOLE) return;
-
-      const dx = hole.x - obj.x;
-      const dy = hole.y - obj.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-
-      // Only apply gravity if within range and not too close
-      if (
-        distance < this.MAX_GRAVITY_DISTANCE &&
-        distance > this.MIN_GRAVITY_DISTANCE
-      ) {
-        // Calculate gravitational force (simplified physics)
-        const gravityForce = this.GRAVITY_STRENGTH / (distance * distance);
-
-        // Normalize direction vector
-        const nx = dx / distance;
-        const ny = dy / distance;
-
-        // Apply gravity force (add to existing forces)
-        obj.fx += nx * gravityForce;
-        obj.fy += ny * gravityForce;
-      }
-    });
-  }
-
   updateGravityEffects() {
     // Add subtle pulsing effect to holes to show they're active
-    this.objects.forEach((obj) => {
-      if (!obj.live || obj.type !== GAME_CONSTANTS.HOLE) return;
+    this.simulation.objects.forEach((obj) => {
+      const sign = this.simulation.getGravitySign(obj.type);
+      if (!obj.live || sign === 0) return;
 
+      // Repulsors pulse in antiphase to attractors
       const time = Date.now() * 0.003;
-      const pulse = 0.8 + 0.2 * Math.sin(time);
-      if (obj.sprite) {
-        obj.sprite.alpha = pulse;
+      const pulse = 0.8 + 0.2 * sign * Math.sin(time);
+      const sprite = this.sprites.get(obj);
+      if (sprite) {
+        sprite.alpha = pulse;
       }
     });
   }
@@ -1033,32 +961,23 @@ export class GameEngine extends PIXI.utils.EventEmitter {
     }
   }
 
-  // Check if player earned an extra life
-  checkExtraLife() {
-    if (this.score >= this.nextLifeAt) {
-      this.lives++;
-      this.nextLifeAt += 500; // Next life in another 500 points
-
-      // Play extra life sound and show feedback
-      this.audioManager.playSound("levelComplete"); // Use happy sound for extra life
+  pause() {
+    this.simulation.pause();
+  }
 
-      this.emit("extraLife", {
-        score: this.score,
-        level: this.level,
-        lives: this.lives,
-        nextLifeAt: this.nextLifeAt,
-      });
-    }
+  resume() {
+    // Don't try to catch up on time spent paused
+    this.accumulator = 0;
+    this.simulation.resume();
+  }
 
-    // Always emit score update
-    this.emit("scoreUpdate", {
-      score: this.score,
-      level: this.level,
-      lives: this.lives,
-    });
+  restartLevel() {
+    this.accumulator = 0;
+    this.recorder.recordRestart();
+    this.simulation.restartLevel();
   }
 
   stop() {
-    this.gameState = "stopped";
+    this.simulation.stop();
   }
 }
@@ -0,0 +1,187 @@
+/**
+ * HighScores.js - Persistent local leaderboard for Koules
+ *
+ * Keeps the best runs in localStorage (or any object with getItem/setItem),
+ * one board per player count, game mode and difficulty. Entries record the
+ * name, score, level reached, date, play time and active mutators. Tables
+ * export to JSON and merge back in on another machine.
+ */
+
+export const HIGH_SCORE_VERSION = 1;
+export const HIGH_SCORE_LIMIT = 10; // Entries kept per board
+export const HIGH_SCORE_NAME_LENGTH = 16;
+
+const DEFAULT_KEY = "koulesII.highScores";
+
+export class HighScoreFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "HighScoreFormatError";
+  }
+}
+
+export class HighScoreTable {
+  constructor(storage = globalThis.localStorage, key = DEFAULT_KEY) {
+    this.storage = storage;
+    this.key = key;
+  }
+
+  // Board name for a kind of game, e.g. "2p-deathmatch-extreme"
+  static boardKey({ playerCount, gameMode, difficulty }) {
+    return `${playerCount}p-${gameMode}-${difficulty}`;
+  }
+
+  static parseBoardKey(key) {
+    const match = /^(\d+)p-([a-z]+)-([a-z]+)$/i.exec(key);
+    if (!match) return null;
+    return {
+      playerCount: parseInt(match[1], 10),
+      gameMode: match[2],
+      difficulty: match[3],
+    };
+  }
+
+  // Stored boards; a missing or unreadable table counts as empty
+  load() {
+    try {
+      const data = JSON.parse(this.storage.getItem(this.key));
+      if (data && data.version === HIGH_SCORE_VERSION && data.boards) {
+        return data.boards;
+      }
+    } catch (error) {
+      console.error("Ignoring unreadable high scores:", error);
+    }
+    return {};
+  }
+
+  save(boards) {
+    this.storage.setItem(
+      this.key,
+      JSON.stringify({ version: HIGH_SCORE_VERSION, boards }),
+    );
+  }
+
+  getBoardKeys() {
+    return Object.keys(this.load()).sort();
+  }
+
+  getBoard(category) {
+    return this.load()[HighScoreTable.boardKey(category)] || [];
+  }
+
+  // Whether a score would make it onto its board
+  qualifies(category, score) {
+    if (score <= 0) return false;
+    const board = this.getBoard(category);
+    return (
+      board.length < HIGH_SCORE_LIMIT || score > board[board.length - 1].score
+    );
+  }
+
+  // Insert an entry; returns its rank (0 = best) or -1 if it didn't make it
+  add(category, entry) {
+    const boards = this.load();
+    const key = HighScoreTable.boardKey(category);
+    const board = HighScoreTable.rank([...(boards[key] || []), entry]);
+    const rank = board.indexOf(entry);
+
+    if (rank < 0) return -1;
+    boards[key] = board;
+    this.save(boards);
+    return rank;
+  }
+
+  export() {
+    return JSON.stringify(
+      { version: HIGH_SCORE_VERSION, boards: this.load() },
+      null,
+      2,
+    );
+  }
+
+  // Merge an exported table into this one; returns how many entries were
+  // new. Throws HighScoreFormatError for anything that isn't an export.
+  import(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new HighScoreFormatError(
+        `High scores are not valid JSON: ${error.message}`,
+      );
+    }
+    if (
+      !data ||
+      data.version !== HIGH_SCORE_VERSION ||
+      typeof data.boards !== "object" ||
+      data.boards === null ||
+      Array.isArray(data.boards)
+    ) {
+      throw new HighScoreFormatError("Not a KoulesII high score export");
+    }
+
+    // Check the whole file first so a bad board doesn't merge half of it
+    Object.keys(data.boards).forEach((key) => {
+      if (!HighScoreTable.parseBoardKey(key)) {
+        throw new HighScoreFormatError(`Unknown high score board "${key}"`);
+      }
+      if (!Array.isArray(data.boards[key])) {
+        throw new HighScoreFormatError(
+          `High score board "${key}" is not a list`,
+        );
+      }
+      data.boards[key].forEach((entry) =>
+        HighScoreTable.checkEntry(entry, key),
+      );
+    });
+
+    const boards = this.load();
+    let added = 0;
+    Object.keys(data.boards).forEach((key) => {
+      const board = boards[key] || [];
+      data.boards[key].forEach((entry) => {
+        const known = board.some(
+          (other) =>
+            other.name === entry.name &&
+            other.score === entry.score &&
+            other.date === entry.date,
+        );
+        if (!known) {
+          board.push(entry);
+          added++;
+        }
+      });
+      boards[key] = HighScoreTable.rank(board);
+    });
+
+    this.save(boards);
+    return added;
+  }
+
+  // Best first; the earlier run keeps the higher place on a tie
+  static rank(board) {
+    return [...board]
+      .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+      .slice(0, HIGH_SCORE_LIMIT);
+  }
+
+  static checkEntry(entry, key) {
+    const valid =
+      entry !== null &&
+      typeof entry === "object" &&
+      typeof entry.name === "string" &&
+      entry.name.length > 0 &&
+      entry.name.length <= HIGH_SCORE_NAME_LENGTH &&
+      Number.isFinite(entry.score) &&
+      entry.score >= 0 &&
+      Number.isFinite(entry.level) &&
+      typeof entry.date === "string" &&
+      Number.isFinite(entry.duration) &&
+      (entry.mutators === undefined ||
+        (Array.isArray(entry.mutators) &&
+          entry.mutators.every((id) => typeof id === "string")));
+    if (!valid) {
+      throw new HighScoreFormatError(`Bad high score entry in "${key}"`);
+    }
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * LevelLoader.js - Declarative JSON levels for Koules
+ *
+ * Checks hand-written level data and normalizes it into the plain form the
+ * Simulation builds a level from. A level looks like:
+ *
+ *   {
+ *     "name": "Twin Holes",
+ *     "arena": { "width": 800, "height": 600, "walls": "bouncy" },
+ *     "rockets": [{ "x": 100, "y": 300 }, { "x": 700, "y": 300 }],
+ *     "objects": [
+ *       { "type": "ball", "x": 400, "y": 200, "vx": 0.5, "vy": 0 },
+ *       { "type": "hole", "x": 400, "y": 300, "strength": 1.5 }
+ *     ],
+ *     "win": { "type": "clear" },
+ *     "scoring": { "ballInHole": 15 }
+ *   }
+ *
+ * Positions are in the level's own arena coordinates and are scaled to the
+ * real arena when the level is built; velocities are in pixels per step.
+ * Walls are one mode for every side, or per side with the rest deadly:
+ * { "top": "deadly", "bottom": "deadly", "left": "wrap", "right": "wrap" }.
+ */
+
+import { GAME_CONSTANTS } from "./GameConstants.js";
+
+// Object type names used in level files
+export const LEVEL_OBJECT_TYPES = {
+  ball: GAME_CONSTANTS.BALL_SMALL,
+  bigBall: GAME_CONSTANTS.BALL_LARGE,
+  bball: GAME_CONSTANTS.BBALL,
+  hole: GAME_CONSTANTS.HOLE,
+  ehole: GAME_CONSTANTS.EHOLE,
+  apple: GAME_CONSTANTS.APPLE,
+  inspector: GAME_CONSTANTS.INSPECTOR,
+  lunatic: GAME_CONSTANTS.LUNATIC,
+  creator: GAME_CONSTANTS.CREATOR,
+};
+
+// deadly: objects die on contact; bouncy: elastic rebound scaled by
+// `restitution`; wrap: leave one side and come back on the opposite one
+export const WALL_MODES = ["deadly", "bouncy", "wrap"];
+export const WALL_SIDES = ["top", "right", "bottom", "left"];
+export const DEFAULT_RESTITUTION = 0.8;
+
+// clear: no balls or Creators left; score: reach `points`; survive: last
+// `steps` simulation steps
+export const WIN_CONDITIONS = ["clear", "score", "survive"];
+
+// Points awarded by the simulation, overridable per level
+export const DEFAULT_SCORING = {
+  ballInHole: 10,
+  bigBallInHole: 20,
+  ballInWall: 5,
+  bigBallInWall: 10,
+  apple: GAME_CONSTANTS.APPLE_SCORE,
+  inspector: GAME_CONSTANTS.INSPECTOR_SCORE,
+  lunatic: GAME_CONSTANTS.LUNATIC_SCORE,
+  creator: GAME_CONSTANTS.CREATOR_SCORE,
+  levelBonus: 100,
+};
+
+export class LevelFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LevelFormatError";
+  }
+}
+
+export class LevelLoader {
+  // Accepts JSON text or an already parsed object; throws LevelFormatError
+  static parse(data) {
+    if (typeof data === "string") {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        throw new LevelFormatError(`Level is not valid JSON: ${error.message}`);
+      }
+    }
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new LevelFormatError("Level must be a JSON object");
+    }
+
+    const arena = data.arena || {};
+    const level = {
+      name: data.name !== undefined ? String(data.name) : "Untitled",
+      arena: {
+        width: LevelLoader.number(arena.width, "arena.width", 800),
+        height: LevelLoader.number(arena.height, "arena.height", 600),
+        // null leaves the game's own wall setting in place
+        walls:
+          arena.walls === undefined
+            ? null
+            : LevelLoader.parseWalls(arena.walls, "arena.walls"),
+      },
+      rockets: (data.rockets || []).map((rocket, index) =>
+        LevelLoader.point(rocket, `rockets[${index}]`),
+      ),
+      objects: (data.objects || []).map((obj, index) =>
+        LevelLoader.parseObject(obj, `objects[${index}]`),
+      ),
+      win: LevelLoader.parseWin(data.win),
+      scoring: LevelLoader.parseScoring(data.scoring),
+    };
+
+    if (level.arena.width <= 0 || level.arena.height <= 0) {
+      throw new LevelFormatError("arena size must be positive");
+    }
+
+    return level;
+  }
+
+  // JSON-ready form of a parsed level, e.g. for saving from the editor.
+  // Fields that match the defaults are left out.
+  static serialize(level) {
+    const typeNames = {};
+    Object.keys(LEVEL_OBJECT_TYPES).forEach((name) => {
+      typeNames[LEVEL_OBJECT_TYPES[name]] = name;
+    });
+
+    const scoring = {};
+    Object.keys(level.scoring || {}).forEach((key) => {
+      if (level.scoring[key] !== DEFAULT_SCORING[key]) {
+        scoring[key] = level.scoring[key];
+      }
+    });
+
+    return {
+      name: level.name,
+      arena: {
+        width: level.arena.width,
+        height: level.arena.height,
+        ...(level.arena.walls && {
+          walls: LevelLoader.compactWalls(level.arena.walls),
+        }),
+      },
+      rockets: level.rockets.map(({ x, y }) => ({ x, y })),
+      objects: level.objects.map((obj) => {
+        const out = { type: typeNames[obj.type], x: obj.x, y: obj.y };
+        if (obj.vx) out.vx = obj.vx;
+        if (obj.vy) out.vy = obj.vy;
+        if (obj.mass !== undefined) out.mass = obj.mass;
+        if (obj.strength !== undefined) out.strength = obj.strength;
+        return out;
+      }),
+      win: { ...level.win },
+      scoring,
+    };
+  }
+
+  // One mode per side from either a single mode name or a per-side object;
+  // sides left out stay deadly
+  static parseWalls(walls = "deadly", path = "walls") {
+    const spec =
+      typeof walls === "string"
+        ? { top: walls, right: walls, bottom: walls, left: walls }
+        : walls;
+    if (!spec || typeof spec !== "object") {
+      throw new LevelFormatError(`${path} must be a wall mode or an object`);
+    }
+
+    const parsed = {
+      restitution: LevelLoader.number(
+        spec.restitution,
+        `${path}.restitution`,
+        DEFAULT_RESTITUTION,
+      ),
+    };
+    if (parsed.restitution < 0) {
+      throw new LevelFormatError(`${path}.restitution must not be negative`);
+    }
+
+    WALL_SIDES.forEach((side) => {
+      const mode = spec[side] ?? "deadly";
+      if (!WALL_MODES.includes(mode)) {
+        throw new LevelFormatError(
+          `${path}.${side} must be one of ${WALL_MODES.join(", ")}`,
+        );
+      }
+      parsed[side] = mode;
+    });
+
+    // Wrapping only makes sense into an opposite side that wraps as well
+    if (
+      (parsed.left === "wrap") !== (parsed.right === "wrap") ||
+      (parsed.top === "wrap") !== (parsed.bottom === "wrap")
+    ) {
+      throw new LevelFormatError(
+        `${path}: wrap must be set on both opposite sides`,
+      );
+    }
+
+    return parsed;
+  }
+
+  // Shortest JSON form of parsed walls: a bare mode name when every side
+  // matches and the restitution is the default
+  static compactWalls(walls) {
+    const modes = new Set(WALL_SIDES.map((side) => walls[side]));
+    if (modes.size === 1 && walls.restitution === DEFAULT_RESTITUTION) {
+      return walls.top;
+    }
+    return { ...walls };
+  }
+
+  static parseObject(obj, path) {
+    const type = LEVEL_OBJECT_TYPES[obj && obj.type];
+    if (type === undefined) {
+      throw new LevelFormatError(
+        `${path}.type must be one of ${Object.keys(LEVEL_OBJECT_TYPES).join(", ")}`,
+      );
+    }
+
+    const { x, y } = LevelLoader.point(obj, path);
+    const parsed = {
+      type,
+      x,
+      y,
+      vx: LevelLoader.number(obj.vx, `${path}.vx`, 0),
+      vy: LevelLoader.number(obj.vy, `${path}.vy`, 0),
+    };
+    if (obj.mass !== undefined) {
+      parsed.mass = LevelLoader.number(obj.mass, `${path}.mass`);
+      if (parsed.mass <= 0) {
+        throw new LevelFormatError(`${path}.mass must be positive`);
+      }
+    }
+    if (obj.strength !== undefined) {
+      parsed.strength = LevelLoader.number(obj.strength, `${path}.strength`);
+    }
+    return parsed;
+  }
+
+  static parseWin(win = { type: "clear" }) {
+    const type = typeof win === "string" ? win : win.type;
+    if (!WIN_CONDITIONS.includes(type)) {
+      throw new LevelFormatError(
+        `win.type must be one of ${WIN_CONDITIONS.join(", ")}`,
+      );
+    }
+
+    if (type === "score") {
+      return { type, points: LevelLoader.number(win.points, "win.points") };
+    }
+    if (type === "survive") {
+      return { type, steps: LevelLoader.number(win.steps, "win.steps") };
+    }
+    return { type };
+  }
+
+  static parseScoring(scoring = {}) {
+    const parsed = { ...DEFAULT_SCORING };
+    Object.keys(scoring).forEach((key) => {
+      if (!(key in DEFAULT_SCORING)) {
+        throw new LevelFormatError(`Unknown scoring key "${key}"`);
+      }
+      parsed[key] = LevelLoader.number(scoring[key], `scoring.${key}`);
+    });
+    return parsed;
+  }
+
+  static point(value, path) {
+    if (!value || typeof value !== "object") {
+      throw new LevelFormatError(`${path} must be an object with x and y`);
+    }
+    return {
+      x: LevelLoader.number(value.x, `${path}.x`),
+      y: LevelLoader.number(value.y, `${path}.y`),
+    };
+  }
+
+  // A finite number, or the fallback when the field is missing
+  static number(value, path, fallback) {
+    if (value === undefined && fallback !== undefined) return fallback;
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      throw new LevelFormatError(`${path} must be a number`);
+    }
+    return value;
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * Replay.js - Input recording and deterministic playback for Koules
+ *
+ * The simulation is fully determined by its start config (level, seed,
+ * arena size, rules) and the controls read on every step, so a replay only
+ * stores those. ReplayRecorder sits between the simulation and a live input
+ * source and remembers what each rocket was told to do; ReplayInput stands
+ * in for InputManager and hands the same controls back tick by tick.
+ *
+ * Controls are packed into five bits per player and stored run-length
+ * encoded, so a long quiet stretch costs a few bytes:
+ *
+ *   {
+ *     "version": 1,
+ *     "config": { "playerCount": 1, "level": 5, "seed": 123, ... },
+ *     "length": 5400,
+ *     "restarts": [1200],
+ *     "inputs": "0*2s,1*a,..."
+ *   }
+ */
+
+import { LevelLoader } from "./LevelLoader.js";
+
+export const REPLAY_VERSION = 1;
+
+const CONTROL_KEYS = ["up", "down", "left", "right", "brake"];
+const BITS_PER_PLAYER = CONTROL_KEYS.length;
+
+export class ReplayFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ReplayFormatError";
+  }
+}
+
+// One player's controls as a five-bit mask and back; online games send
+// inputs in the same form
+export function packControls(controls) {
+  return CONTROL_KEYS.reduce(
+    (mask, key, bit) => (controls[key] ? mask | (1 << bit) : mask),
+    0,
+  );
+}
+
+export function unpackControls(mask) {
+  const controls = {};
+  CONTROL_KEYS.forEach((key, bit) => {
+    controls[key] = (mask & (1 << bit)) !== 0;
+  });
+  return controls;
+}
+
+// Records the controls the simulation reads from `inputSource`. Use it as
+// the simulation's input source and call start() right after a game starts.
+export class ReplayRecorder {
+  constructor(simulation, inputSource) {
+    this.simulation = simulation;
+    this.inputSource = inputSource;
+    this.config = null;
+    this.frames = []; // Packed controls of every player, indexed by tick - 1
+    this.restarts = []; // Ticks at which the level was restarted by hand
+  }
+
+  start() {
+    this.config = Replay.captureConfig(this.simulation);
+    this.frames = [];
+    this.restarts = [];
+  }
+
+  // Carry on recording a saved game from its replay so far
+  resume(replay) {
+    this.config = replay.config;
+    this.frames = Replay.decodeFrames(replay.inputs, replay.length);
+    this.restarts = [...replay.restarts];
+  }
+
+  getPlayerControls(playerId) {
+    const controls = this.inputSource.getPlayerControls(playerId);
+    const index = this.simulation.tick - 1;
+    while (this.frames.length <= index) this.frames.push(0);
+    this.frames[index] |=
+      packControls(controls) << (playerId * BITS_PER_PLAYER);
+    return controls;
+  }
+
+  recordRestart() {
+    this.restarts.push(this.simulation.tick);
+  }
+
+  // Replay of everything recorded so far, or null before the first game
+  getReplay() {
+    if (!this.config) return null;
+
+    const length = this.simulation.tick;
+    const frames = this.frames.slice(0, length);
+    while (frames.length < length) frames.push(0);
+    return {
+      version: REPLAY_VERSION,
+      config: this.config,
+      length,
+      restarts: this.restarts.filter((tick) => tick <= length),
+      inputs: Replay.encodeFrames(frames),
+    };
+  }
+}
+
+// Input source that plays recorded controls back against a simulation
+export class ReplayInput {
+  constructor(simulation, replay) {
+    this.simulation = simulation;
+    this.frames = Replay.decodeFrames(replay.inputs, replay.length);
+  }
+
+  getPlayerControls(playerId) {
+    const mask = this.frames[this.simulation.tick - 1] || 0;
+    return unpackControls(mask >> (playerId * BITS_PER_PLAYER));
+  }
+}
+
+export class Replay {
+  // Start config that reproduces the game the simulation is running,
+  // including the resolved seed and the arena size
+  static captureConfig(simulation) {
+    return {
+      playerCount: simulation.playerCount,
+      level: simulation.level,
+      gameMode: simulation.gameMode,
+      seed: simulation.seed,
+      levelData: simulation.levelData
+        ? LevelLoader.serialize(simulation.levelData)
+        : undefined,
+      walls: LevelLoader.compactWalls(simulation.gameWalls),
+      difficulty: simulation.difficulty,
+      mutators: [...simulation.mutators],
+      width: simulation.width,
+      height: simulation.height,
+    };
+  }
+
+  // Accepts JSON text or an already parsed object; throws ReplayFormatError
+  static parse(data) {
+    if (typeof data === "string") {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        throw new ReplayFormatError(
+          `Replay is not valid JSON: ${error.message}`,
+        );
+      }
+    }
+    if (!data || typeof data !== "object") {
+      throw new ReplayFormatError("Replay must be a JSON object");
+    }
+    if (data.version !== REPLAY_VERSION) {
+      throw new ReplayFormatError(`Unsupported replay version ${data.version}`);
+    }
+    if (!data.config || typeof data.config !== "object") {
+      throw new ReplayFormatError("Replay has no start config");
+    }
+    if (!Number.isInteger(data.length) || data.length < 0) {
+      throw new ReplayFormatError("Replay length must be a whole number");
+    }
+    if (typeof data.inputs !== "string") {
+      throw new ReplayFormatError("Replay inputs must be a string");
+    }
+
+    const restarts = data.restarts || [];
+    if (!Array.isArray(restarts) || !restarts.every(Number.isInteger)) {
+      throw new ReplayFormatError("Replay restarts must be a list of ticks");
+    }
+
+    // Decode once so broken input data fails here rather than mid-playback
+    Replay.decodeFrames(data.inputs, data.length);
+
+    return {
+      version: data.version,
+      config: data.config,
+      length: data.length,
+      restarts,
+      inputs: data.inputs,
+    };
+  }
+
+  static stringify(replay) {
+    return JSON.stringify(replay);
+  }
+
+  // "<mask>*<count>" runs in base 36, comma separated
+  static encodeFrames(frames) {
+    const runs = [];
+    let i = 0;
+    while (i < frames.length) {
+      let count = 1;
+      while (frames[i + count] === frames[i]) count++;
+      runs.push(`${frames[i].toString(36)}*${count.toString(36)}`);
+      i += count;
+    }
+    return runs.join(",");
+  }
+
+  static decodeFrames(inputs, length) {
+    const frames = [];
+    if (inputs) {
+      inputs.split(",").forEach((run) => {
+        const match = /^([0-9a-z]+)\*([0-9a-z]+)$/.exec(run);
+        if (!match) {
+          throw new ReplayFormatError(`Bad replay input run "${run}"`);
+        }
+        const mask = parseInt(match[1], 36);
+        const count = parseInt(match[2], 36);
+        for (let i = 0; i < count; i++) frames.push(mask);
+      });
+    }
+    if (frames.length !== length) {
+      throw new ReplayFormatError(
+        `Replay has ${frames.length} input frames, expected ${length}`,
+      );
+    }
+    return frames;
+  }
+}
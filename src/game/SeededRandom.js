@@ -0,0 +1,95 @@
+/**
+ * SeededRandom.js - Deterministic random number source for Koules
+ *
+ * Small, fast PRNG (mulberry32) whose whole state is a single 32-bit integer,
+ * so a level can be reproduced from its seed and the generator can be
+ * saved and restored at any point.
+ */
+
+export class SeededRandom {
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  // Generate a fresh seed when the player didn't ask for one
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  // Accept numbers, decimal strings as typed ("123" is seed 123) or short
+  // seed codes with letters in them (base 36, as in "ABC")
+  static normalizeSeed(seed) {
+    if (typeof seed === "number" && Number.isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+
+    if (typeof seed === "string") {
+      const code = seed.trim().toLowerCase();
+      if (/^\d{1,10}$/.test(code)) {
+        return parseInt(code, 10) >>> 0;
+      }
+      if (/^[0-9a-z]{1,7}$/.test(code)) {
+        return parseInt(code, 36) >>> 0;
+      }
+
+      // Arbitrary text - hash it so any phrase can be used as a seed
+      let hash = 2166136261;
+      for (let i = 0; i < code.length; i++) {
+        hash = Math.imul(hash ^ code.charCodeAt(i), 16777619);
+      }
+      return hash >>> 0;
+    }
+
+    return SeededRandom.randomSeed();
+  }
+
+  // Combine a game seed with a level number into that level's own seed
+  static deriveSeed(seed, salt) {
+    let h =
+      (SeededRandom.normalizeSeed(seed) ^ Math.imul(salt, 0x9e3779b1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+  }
+
+  // Short, shareable representation of a seed that normalizeSeed() reads
+  // back: base 36, or decimal when the base 36 code would be all digits
+  static toCode(seed) {
+    const value = SeededRandom.normalizeSeed(seed);
+    const code = value.toString(36).toUpperCase();
+    return /^\d+$/.test(code) ? String(value) : code;
+  }
+
+  // Float in [0, 1) - drop-in replacement for Math.random()
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Float in [min, max)
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Integer in [min, max]
+  int(min, max) {
+    return Math.floor(this.range(min, max + 1));
+  }
+
+  // True with the given probability
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
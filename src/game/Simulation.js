@@ -0,0 +1,1998 @@
+/**
+ * Simulation.js - Renderer-free game simulation for Koules
+ *
+ * Owns the game state and the fixed-step update: input, physics, gravity,
+ * collisions, scoring and win/lose rules. It never touches Pixi or the DOM;
+ * a view layer (GameEngine) observes its events to draw sprites and play
+ * sounds, so a level can also be stepped headless in plain Node.
+ */
+
+import { EventEmitter } from "./EventEmitter.js";
+import { GAME_CONSTANTS } from "./GameConstants.js";
+import { DEFAULT_SCORING, LevelLoader } from "./LevelLoader.js";
+import { DEFAULT_DIFFICULTY, getDifficultyTuning } from "./Difficulty.js";
+import { SeededRandom } from "./SeededRandom.js";
+import { SpatialHash } from "./SpatialHash.js";
+
+// Bump when the snapshot layout changes; older saves are then refused
+export const SNAPSHOT_VERSION = 1;
+
+// Input source used when none is supplied (e.g. headless runs)
+const NO_INPUT = {
+  getPlayerControls() {
+    return { up: false, down: false, left: false, right: false, brake: false };
+  },
+};
+
+// Clearance kept between a spawning rocket and anything already in play
+const SPAWN_MARGIN = 20;
+
+// Scratch space for reading a number's bits in getStateHash()
+const hashView = new DataView(new ArrayBuffer(8));
+
+// FNV-1a over the exact bits of a float, so any drift shows
+function hashNumber(hash, value) {
+  hashView.setFloat64(0, value);
+  hash = Math.imul(hash ^ hashView.getUint32(0), 16777619);
+  return Math.imul(hash ^ hashView.getUint32(4), 16777619);
+}
+
+export class Simulation extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    // Arena size in pixels
+    this.width = options.width || 800;
+    this.height = options.height || 600;
+
+    // Anything with getPlayerControls(playerId), e.g. InputManager
+    this.inputSource = options.inputSource || NO_INPUT;
+
+    // First level on which Inspectors hunt the rockets
+    this.inspectorStartLevel = options.inspectorStartLevel ?? 5;
+
+    // First level on which Lunatics roam the arena
+    this.lunaticStartLevel = options.lunaticStartLevel ?? 7;
+
+    // First level with repelling EHoles alongside the attracting holes
+    this.eholeStartLevel = options.eholeStartLevel ?? 4;
+
+    // First level with Creators refilling the field
+    this.creatorStartLevel = options.creatorStartLevel ?? 6;
+
+    // Apples show up now and then as heavy bonus objectives
+    this.appleStartLevel = options.appleStartLevel ?? 3;
+    this.appleChance = options.appleChance ?? 0.3; // Per level
+
+    // Deathmatch: lives per rocket each round, round wins needed to take the
+    // match, and how long (steps) a touch still earns credit for a kill
+    this.deathmatchLives = options.deathmatchLives ?? 3;
+    this.roundsToWin = options.roundsToWin ?? 3;
+    this.killCreditWindow = options.killCreditWindow ?? 300;
+
+    // Dead rockets come back on their own after respawnDelay steps and can't
+    // be hurt for spawnInvulnerability steps. restartOnDeath brings back the
+    // classic rule instead: the level restarts once every rocket is dead.
+    this.respawnDelay = options.respawnDelay ?? 120;
+    this.spawnInvulnerability = options.spawnInvulnerability ?? 120;
+    this.restartOnDeath = options.restartOnDeath ?? false;
+
+    // Hand-made level (see LevelLoader), or null for the procedural layouts.
+    // Scoring and the win condition come from it when one is loaded.
+    this.levelData = null;
+    this.scoring = { ...DEFAULT_SCORING };
+    this.winCondition = { type: "clear" };
+    this.levelStartTick = 0;
+
+    // Wall behavior per side ("deadly", "bouncy" or "wrap"); see
+    // LevelLoader.parseWalls. startGame({ walls }) sets it for one game and
+    // a level file can override it for that level.
+    this.defaultWalls = LevelLoader.parseWalls(options.walls);
+    this.gameWalls = this.defaultWalls;
+    this.walls = this.defaultWalls;
+
+    // Difficulty preset and mutators (see Difficulty.js), chosen per game
+    // with startGame({ difficulty, mutators }). `tuning` holds the physics
+    // and scoring values they resolve to.
+    this.difficulty = DEFAULT_DIFFICULTY;
+    this.mutators = [];
+    this.tuning = getDifficultyTuning(this.difficulty);
+
+    // Game state
+    this.gameState = "stopped"; // stopped, running, paused, levelComplete, gameOver
+    this.level = 1;
+    this.score = 0;
+    this.lives = this.tuning.lives;
+    this.nextLifeAt = this.tuning.extraLifeScore; // Next life awarded at this score
+    this.playerCount = 1;
+    this.gameMode = "cooperative";
+    this.players = []; // Per-player score and lives, plus kills and round wins
+    this.round = 1;
+
+    // Random source - every random decision in the simulation draws from
+    // this so a level is fully defined by (level number, seed)
+    this.seed = SeededRandom.randomSeed();
+    this.rng = new SeededRandom(this.seed);
+
+    // Game objects
+    this.objects = [];
+    this.rockets = [];
+    this.balls = [];
+
+    // Fixed timestep - one call to step() always advances this much time
+    this.FIXED_TIMESTEP = 1 / 60; // Seconds per simulation step
+    this.tick = 0;
+    this.deltaTime = this.FIXED_TIMESTEP;
+
+    // Gravity constants; strength and reach follow the difficulty tuning
+    this.GRAVITY_STRENGTH = this.tuning.gravityStrength;
+    this.MIN_GRAVITY_DISTANCE = 30;
+    this.MAX_GRAVITY_DISTANCE = this.tuning.maxGravityDistance;
+
+    // Holes grow as they swallow objects. Past these masses a hole goes
+    // supermassive (stronger pull) or collapses; null disables either one.
+    this.holeSupermassiveMass = options.holeSupermassiveMass ?? 60;
+    this.holeCollapseMass = options.holeCollapseMass ?? null;
+
+    // Rocket shields. `shield` overrides the defaults for every level;
+    // `shieldLevels` maps a level number to overrides that apply from that
+    // level on, e.g. { 8: { damage: 4 } } makes later levels hit harder.
+    this.baseShield = {
+      max: GAME_CONSTANTS.SHIELD_MAX,
+      threshold: GAME_CONSTANTS.SHIELD_THRESHOLD,
+      damage: GAME_CONSTANTS.SHIELD_DAMAGE,
+      recharge: GAME_CONSTANTS.SHIELD_RECHARGE,
+      rechargeDelay: GAME_CONSTANTS.SHIELD_RECHARGE_DELAY,
+      ...options.shield,
+    };
+    this.shieldLevels = options.shieldLevels || {};
+    this.shield = this.getShieldSettings(this.level);
+
+    // Speed caps in pixels per step. Collisions are swept, so these are a
+    // gameplay choice rather than a guard against tunneling.
+    this.MAX_ROCKET_SPEED = 8;
+    this.MAX_OBJECT_SPEED = 6;
+
+    // Broadphase grids, rebuilt every step
+    this.collisionGrid = new SpatialHash(64);
+    this.gravityGrid = new SpatialHash(this.MAX_GRAVITY_DISTANCE);
+  }
+
+  startGame(config = {}) {
+    this.playerCount = config.playerCount || 1;
+    this.level = config.level || 1;
+    this.gameMode = config.gameMode || "cooperative";
+    this.levelData = config.levelData
+      ? LevelLoader.parse(config.levelData)
+      : null;
+    this.gameWalls =
+      config.walls !== undefined
+        ? LevelLoader.parseWalls(config.walls)
+        : this.defaultWalls;
+    this.setDifficulty(config.difficulty, config.mutators);
+
+    // Deathmatch needs someone to fight
+    if (this.playerCount < 2) this.gameMode = "cooperative";
+
+    // A level code ("<level>-<seed>") sets both level and seed at once
+    const code =
+      config.levelCode && Simulation.parseLevelCode(config.levelCode);
+    if (code) {
+      this.level = code.level;
+      this.seed = code.seed;
+    } else if (config.seed !== undefined && config.seed !== null) {
+      this.seed = SeededRandom.normalizeSeed(config.seed);
+    } else {
+      this.seed = SeededRandom.randomSeed();
+    }
+
+    this.score = 0;
+    this.lives = this.tuning.lives;
+    this.nextLifeAt = this.tuning.extraLifeScore; // Reset life threshold
+    this.tick = 0;
+    this.round = 1;
+    this.players = [];
+    for (let i = 0; i < this.playerCount; i++) {
+      this.players.push({
+        playerId: i,
+        score: 0,
+        lives:
+          this.gameMode === "deathmatch" ? this.deathmatchLives : this.lives,
+        nextLifeAt: this.nextLifeAt,
+        kills: 0,
+        roundWins: 0,
+        eliminated: false,
+        respawnAt: null, // Tick at which a dead rocket returns
+      });
+    }
+    if (this.playerCount > 1) this.lives = this.getTeamLives();
+
+    // Clear existing objects
+    this.clearGame();
+
+    // Initialize level
+    this.initLevel();
+
+    this.gameState = "running";
+
+    this.emit("gameStarted", {
+      level: this.level,
+      playerCount: this.playerCount,
+      gameMode: this.gameMode,
+      seed: this.seed,
+      levelCode: this.getLevelCode(),
+      modifiers: this.getModifiers(),
+    });
+  }
+
+  setDifficulty(difficulty = DEFAULT_DIFFICULTY, mutators = []) {
+    this.tuning = getDifficultyTuning(difficulty, mutators);
+    this.difficulty = difficulty;
+    this.mutators = [...mutators];
+
+    this.GRAVITY_STRENGTH = this.tuning.gravityStrength;
+    if (this.MAX_GRAVITY_DISTANCE !== this.tuning.maxGravityDistance) {
+      this.MAX_GRAVITY_DISTANCE = this.tuning.maxGravityDistance;
+      this.gravityGrid = new SpatialHash(this.MAX_GRAVITY_DISTANCE);
+    }
+  }
+
+  // Active difficulty and mutators, e.g. for the HUD or a high-score entry
+  getModifiers() {
+    return { difficulty: this.difficulty, mutators: [...this.mutators] };
+  }
+
+  // Shareable code that reproduces the current level layout
+  getLevelCode() {
+    return `${this.level}-${SeededRandom.toCode(this.seed)}`;
+  }
+
+  // JSON-ready copy of the whole game state: every object plus the level,
+  // scores, lives and RNG state, enough to carry on exactly where it was.
+  // Rules passed to the constructor (respawn delay etc.) are not included.
+  getSnapshot() {
+    const objects = this.objects.map((obj) => ({ ...obj }));
+
+    return {
+      version: SNAPSHOT_VERSION,
+      width: this.width,
+      height: this.height,
+      gameState: this.gameState,
+      level: this.level,
+      score: this.score,
+      lives: this.lives,
+      nextLifeAt: this.nextLifeAt,
+      playerCount: this.playerCount,
+      gameMode: this.gameMode,
+      players: this.players.map((player) => ({ ...player })),
+      round: this.round,
+      seed: this.seed,
+      rngState: this.rng.getState(),
+      tick: this.tick,
+      levelStartTick: this.levelStartTick,
+      levelData: this.levelData && LevelLoader.serialize(this.levelData),
+      scoring: { ...this.scoring },
+      winCondition: { ...this.winCondition },
+      walls: { ...this.walls },
+      gameWalls: { ...this.gameWalls },
+      difficulty: this.difficulty,
+      mutators: [...this.mutators],
+      objects,
+      // Live rockets and balls by index into objects; dead rockets waiting
+      // to respawn are no longer in objects and are stored whole
+      rockets: this.rockets.map((rocket) => {
+        const index = this.objects.indexOf(rocket);
+        return index >= 0 ? index : { ...rocket };
+      }),
+      balls: this.balls
+        .map((ball) => this.objects.indexOf(ball))
+        .filter((index) => index >= 0),
+    };
+  }
+
+  // 32-bit checksum of the state that evolves as the game runs (objects,
+  // scores, lives, RNG). Two simulations fed the same start config and
+  // inputs must agree on it; online games compare it to catch desyncs.
+  getStateHash() {
+    let hash = 2166136261;
+    const add = (value) => {
+      hash = hashNumber(hash, value);
+    };
+
+    [this.tick, this.score, this.lives, this.rng.getState()].forEach(add);
+    this.players.forEach((player) => {
+      add(player.score);
+      add(player.lives);
+    });
+    add(this.objects.length);
+    this.objects.forEach((obj) => {
+      [obj.type, obj.x, obj.y, obj.vx, obj.vy, obj.mass].forEach(add);
+    });
+    return hash >>> 0;
+  }
+
+  // Replace the current game with a snapshot from getSnapshot(). Listeners
+  // see the old objects removed and the saved ones created.
+  restoreSnapshot(snapshot) {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(
+        `Unsupported saved game version ${snapshot && snapshot.version}`,
+      );
+    }
+    if (!Array.isArray(snapshot.objects) || !Array.isArray(snapshot.rockets)) {
+      throw new Error("Saved game has no objects");
+    }
+
+    this.clearGame();
+
+    this.width = snapshot.width;
+    this.height = snapshot.height;
+    this.gameState = snapshot.gameState;
+    this.level = snapshot.level;
+    this.score = snapshot.score;
+    this.lives = snapshot.lives;
+    this.nextLifeAt = snapshot.nextLifeAt;
+    this.playerCount = snapshot.playerCount;
+    this.gameMode = snapshot.gameMode;
+    this.players = snapshot.players.map((player) => ({ ...player }));
+    this.round = snapshot.round;
+    this.seed = snapshot.seed;
+    this.rng = new SeededRandom(this.seed);
+    this.rng.setState(snapshot.rngState);
+    this.tick = snapshot.tick;
+    this.levelStartTick = snapshot.levelStartTick;
+    this.levelData = snapshot.levelData
+      ? LevelLoader.parse(snapshot.levelData)
+      : null;
+    this.scoring = { ...DEFAULT_SCORING, ...snapshot.scoring };
+    this.winCondition = { ...snapshot.winCondition };
+    this.walls = LevelLoader.parseWalls(snapshot.walls);
+    this.gameWalls = LevelLoader.parseWalls(snapshot.gameWalls);
+    this.setDifficulty(snapshot.difficulty, snapshot.mutators);
+    this.shield = this.getShieldSettings(this.level);
+
+    this.objects = snapshot.objects.map((obj) => this.restoreObject(obj));
+    this.rockets = snapshot.rockets.map((entry) =>
+      typeof entry === "number"
+        ? this.objects[entry]
+        : this.restoreObject(entry),
+    );
+    this.balls = snapshot.balls.map((index) => this.objects[index]);
+
+    this.objects.forEach((obj) => this.emit("objectCreated", obj));
+    this.emit("scoreUpdate", {
+      score: this.score,
+      level: this.level,
+      lives: this.lives,
+      players: this.players,
+    });
+  }
+
+  // JSON turns -Infinity ("never hit") into null
+  restoreObject(saved) {
+    const obj = { ...saved };
+    if (obj.lastHitTick === null) obj.lastHitTick = -Infinity;
+    return obj;
+  }
+
+  static parseLevelCode(code) {
+    const match = /^\s*(\d+)-([0-9a-z]+)\s*$/i.exec(String(code));
+    if (!match) return null;
+
+    return {
+      level: parseInt(match[1], 10),
+      seed: SeededRandom.normalizeSeed(match[2]),
+    };
+  }
+
+  clearGame() {
+    this.objects.forEach((obj) => this.emit("objectRemoved", obj));
+
+    this.objects = [];
+    this.rockets = [];
+    this.balls = [];
+  }
+
+  initLevel() {
+    // Reseed so the layout depends only on the level number and game seed
+    this.rng = new SeededRandom(SeededRandom.deriveSeed(this.seed, this.level));
+    this.shield = this.getShieldSettings(this.level);
+    this.levelStartTick = this.tick;
+
+    if (this.levelData) {
+      this.buildLevel(this.levelData);
+      return;
+    }
+
+    this.scoring = { ...DEFAULT_SCORING };
+    this.winCondition = { type: "clear" };
+    this.walls = this.gameWalls;
+
+    // Create balls based on level
+    this.createBalls();
+
+    // Create special objects
+    if (this.level > 1) {
+      this.createSpecialObjects();
+    }
+
+    // Create rockets (players) last, so they spawn clear of everything else
+    this.createRockets();
+  }
+
+  // Build a hand-made level from parsed LevelLoader data. Objects go in
+  // first so rockets can spawn clear of the holes.
+  buildLevel(level) {
+    this.scoring = { ...level.scoring };
+    this.winCondition = { ...level.win };
+    this.walls = level.arena.walls || this.gameWalls;
+
+    level.objects.forEach((def) => {
+      const { x, y } = this.fromLevelPoint(def);
+      const obj = this.createGameObject({
+        type: def.type,
+        x,
+        y,
+        vx: def.vx,
+        vy: def.vy,
+        color: this.getLevelObjectColor(def.type),
+      });
+      if (def.mass !== undefined) {
+        obj.mass = def.mass * this.getMassScale(def.type);
+      }
+      if (def.strength !== undefined) obj.strength = def.strength;
+
+      if (
+        def.type === GAME_CONSTANTS.BALL_SMALL ||
+        def.type === GAME_CONSTANTS.BALL_LARGE
+      ) {
+        this.balls.push(obj);
+      }
+    });
+
+    this.createRockets();
+  }
+
+  // Scale a point from the level's arena to the real one
+  fromLevelPoint(point) {
+    const { arena } = this.levelData;
+    return {
+      x: (point.x * this.width) / arena.width,
+      y: (point.y * this.height) / arena.height,
+    };
+  }
+
+  getLevelObjectColor(type) {
+    switch (type) {
+      case GAME_CONSTANTS.BALL_SMALL:
+        return GAME_CONSTANTS.BALL_SMALL_COLOR;
+      case GAME_CONSTANTS.BALL_LARGE:
+        return GAME_CONSTANTS.BALL_LARGE_COLOR;
+      case GAME_CONSTANTS.BBALL:
+        return GAME_CONSTANTS.BBALL_COLOR;
+      case GAME_CONSTANTS.HOLE:
+        return GAME_CONSTANTS.HOLE_COLOR;
+      case GAME_CONSTANTS.EHOLE:
+        return GAME_CONSTANTS.EHOLE_COLOR;
+      case GAME_CONSTANTS.APPLE:
+        return GAME_CONSTANTS.APPLE_COLOR;
+      case GAME_CONSTANTS.INSPECTOR:
+        return GAME_CONSTANTS.INSPECTOR_COLOR;
+      case GAME_CONSTANTS.LUNATIC:
+        return GAME_CONSTANTS.LUNATIC_COLOR;
+      case GAME_CONSTANTS.CREATOR:
+        return GAME_CONSTANTS.CREATOR_COLOR;
+      default:
+        return 0xffffff;
+    }
+  }
+
+  createRockets() {
+    for (let i = 0; i < this.playerCount; i++) {
+      this.rockets.push(this.createRocket(i));
+    }
+  }
+
+  // Preferred starting point for each player, proportional to the arena
+  // unless the loaded level places the rockets itself
+  getRocketStartPosition(playerId) {
+    const levelStart = this.levelData && this.levelData.rockets[playerId];
+    if (levelStart) return this.fromLevelPoint(levelStart);
+
+    const rocketPositions = [
+      { x: this.width * 0.125, y: this.height * 0.5 }, // Left side, center
+      { x: this.width * 0.875, y: this.height * 0.5 }, // Right side, center
+      { x: this.width * 0.5, y: this.height * 0.167 }, // Top center
+      { x: this.width * 0.5, y: this.height * 0.833 }, // Bottom center
+      { x: this.width * 0.25, y: this.height * 0.333 }, // Left upper
+    ];
+    return rocketPositions[playerId];
+  }
+
+  createRocket(playerId) {
+    const safePosition = this.findSafeSpawnPosition(
+      this.getRocketStartPosition(playerId),
+      GAME_CONSTANTS.ROCKET_RADIUS,
+    );
+
+    const rocket = this.createGameObject({
+      type: GAME_CONSTANTS.ROCKET,
+      x: safePosition.x,
+      y: safePosition.y,
+      playerId,
+      color: GAME_CONSTANTS.ROCKET_COLORS[playerId],
+    });
+    rocket.shield = this.shield.max;
+    rocket.lastHitTick = -Infinity;
+    rocket.invulnerableUntil = this.tick + this.spawnInvulnerability;
+    return rocket;
+  }
+
+  // Base shield settings with every per-level override up to `level` applied
+  getShieldSettings(level) {
+    const settings = { ...this.baseShield };
+    Object.keys(this.shieldLevels)
+      .map(Number)
+      .filter((from) => from <= level)
+      .sort((a, b) => a - b)
+      .forEach((from) => Object.assign(settings, this.shieldLevels[from]));
+    return settings;
+  }
+
+  createBalls() {
+    const ballCount = Math.min(8 + this.level, 15);
+
+    for (let i = 0; i < ballCount; i++) {
+      // Create mix of small and large balls (75% small, 25% large)
+      const isLarge = this.rng.chance(0.25);
+      const ballType = isLarge
+        ? GAME_CONSTANTS.BALL_LARGE
+        : GAME_CONSTANTS.BALL_SMALL;
+      const ballColor = isLarge
+        ? GAME_CONSTANTS.BALL_LARGE_COLOR
+        : GAME_CONSTANTS.BALL_SMALL_COLOR;
+
+      const ball = this.createGameObject({
+        type: ballType,
+        x: this.rng.range(50, this.width - 50),
+        y: this.rng.range(50, this.height - 50),
+        vx: this.rng.range(-1, 1),
+        vy: this.rng.range(-1, 1),
+        color: ballColor,
+      });
+
+      this.balls.push(ball);
+    }
+  }
+
+  createSpecialObjects() {
+    // Add holes
+    if (this.level > 2) {
+      for (let i = 0; i < Math.min(this.level - 2, 3); i++) {
+        this.createGameObject({
+          type: GAME_CONSTANTS.HOLE,
+          x: this.rng.next() * this.width,
+          y: this.rng.next() * this.height,
+          color: GAME_CONSTANTS.HOLE_COLOR,
+        });
+      }
+    }
+
+    // Add eholes - repulsors that let players slingshot balls around
+    if (this.level >= this.eholeStartLevel) {
+      const count = Math.min(this.level - this.eholeStartLevel + 1, 2);
+      for (let i = 0; i < count; i++) {
+        this.createGameObject({
+          type: GAME_CONSTANTS.EHOLE,
+          x: this.rng.range(80, this.width - 80),
+          y: this.rng.range(80, this.height - 80),
+          color: GAME_CONSTANTS.EHOLE_COLOR,
+        });
+      }
+    }
+
+    // Add big balls
+    if (this.level > 3) {
+      for (let i = 0; i < Math.min(this.level - 3, 2); i++) {
+        this.createGameObject({
+          type: GAME_CONSTANTS.BBALL,
+          x: this.rng.next() * this.width,
+          y: this.rng.next() * this.height,
+          vx: this.rng.range(-0.5, 0.5),
+          vy: this.rng.range(-0.5, 0.5),
+          color: GAME_CONSTANTS.BBALL_COLOR,
+        });
+      }
+    }
+
+    // Add inspectors
+    if (this.level >= this.inspectorStartLevel) {
+      const count = Math.min(this.level - this.inspectorStartLevel + 1, 3);
+      for (let i = 0; i < count; i++) {
+        this.createGameObject({
+          type: GAME_CONSTANTS.INSPECTOR,
+          x: this.rng.range(50, this.width - 50),
+          y: this.rng.range(50, this.height - 50),
+          color: GAME_CONSTANTS.INSPECTOR_COLOR,
+        });
+      }
+    }
+
+    // Add lunatics
+    if (this.level >= this.lunaticStartLevel) {
+      const count = Math.min(this.level - this.lunaticStartLevel + 1, 4);
+      for (let i = 0; i < count; i++) {
+        this.createGameObject({
+          type: GAME_CONSTANTS.LUNATIC,
+          x: this.rng.range(50, this.width - 50),
+          y: this.rng.range(50, this.height - 50),
+          color: GAME_CONSTANTS.LUNATIC_COLOR,
+        });
+      }
+    }
+
+    // Add creators
+    if (this.level >= this.creatorStartLevel) {
+      const count = Math.min(this.level - this.creatorStartLevel + 1, 2);
+      for (let i = 0; i < count; i++) {
+        this.createGameObject({
+          type: GAME_CONSTANTS.CREATOR,
+          x: this.rng.range(100, this.width - 100),
+          y: this.rng.range(100, this.height - 100),
+          vx: this.rng.range(-0.3, 0.3),
+          vy: this.rng.range(-0.3, 0.3),
+          color: GAME_CONSTANTS.CREATOR_COLOR,
+        });
+      }
+    }
+
+    // Add an apple - too heavy for one rocket, so it takes a team to sink it
+    if (
+      this.level >= this.appleStartLevel &&
+      this.rng.chance(this.appleChance)
+    ) {
+      this.createGameObject({
+        type: GAME_CONSTANTS.APPLE,
+        x: this.rng.range(100, this.width - 100),
+        y: this.rng.range(100, this.height - 100),
+        color: GAME_CONSTANTS.APPLE_COLOR,
+      });
+    }
+  }
+
+  // Find a spawn position near the preferred one that's clear of other
+  // objects and out of reach of the holes' pull
+  findSafeSpawnPosition(preferredPosition, radius) {
+    // Check if preferred position is safe
+    if (this.isPositionSafe(preferredPosition.x, preferredPosition.y, radius)) {
+      return preferredPosition;
+    }
+
+    // If not safe, try to find a safe position nearby
+    const maxAttempts = 50;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      // Try positions in expanding circles around preferred position
+      const angle = (attempt * 137.5 * Math.PI) / 180; // Golden angle for good distribution
+      const spread = 50 + attempt * 10; // Expanding radius
+
+      const testX = preferredPosition.x + Math.cos(angle) * spread;
+      const testY = preferredPosition.y + Math.sin(angle) * spread;
+
+      // Keep within arena bounds
+      const clampedX = Math.max(50, Math.min(this.width - 50, testX));
+      const clampedY = Math.max(50, Math.min(this.height - 50, testY));
+
+      if (this.isPositionSafe(clampedX, clampedY, radius)) {
+        return { x: clampedX, y: clampedY };
+      }
+    }
+
+    // If no safe position found, use a fallback position; the spawn
+    // invulnerability covers the rare crowded arena
+    return this.getFallbackSpawnPosition();
+  }
+
+  // Check if an object of `radius` at a position would be clear of every
+  // live object and out of reach of every hole's pull
+  isPositionSafe(x, y, radius) {
+    for (const obj of this.objects) {
+      if (!obj.live) continue;
+
+      const dx = obj.x - x;
+      const dy = obj.y - y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+
+      // Position is unsafe if within gravitational range or touching
+      const reach =
+        obj.type === GAME_CONSTANTS.HOLE
+          ? this.getGravityRange(obj).max
+          : obj.radius + radius + SPAWN_MARGIN;
+      if (distance < reach) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Get a fallback spawn position in the center of the arena
+  getFallbackSpawnPosition() {
+    return {
+      x: this.width / 2,
+      y: this.height / 2,
+    };
+  }
+
+  createGameObject(config) {
+    const obj = {
+      type: config.type,
+      x: config.x || 0,
+      y: config.y || 0,
+      vx: config.vx || 0,
+      vy: config.vy || 0,
+      fx: 0, // forces
+      fy: 0,
+      rotation: config.rotation || 0,
+      // State at the previous simulation step, used for render interpolation
+      prevX: config.x || 0,
+      prevY: config.y || 0,
+      prevRotation: config.rotation || 0,
+      angularVelocity: 0,
+      radius: this.getRadius(config.type),
+      mass: this.getMass(config.type) * this.getMassScale(config.type),
+      live: true,
+      playerId: config.playerId ?? -1,
+      color: config.color || 0xffffff,
+    };
+
+    this.objects.push(obj);
+    this.emit("objectCreated", obj);
+    return obj;
+  }
+
+  getRadius(type) {
+    switch (type) {
+      case GAME_CONSTANTS.ROCKET:
+        return GAME_CONSTANTS.ROCKET_RADIUS;
+      case GAME_CONSTANTS.BALL_SMALL:
+        return GAME_CONSTANTS.BALL_SMALL_RADIUS;
+      case GAME_CONSTANTS.BALL_LARGE:
+        return GAME_CONSTANTS.BALL_LARGE_RADIUS;
+      case GAME_CONSTANTS.BBALL:
+        return GAME_CONSTANTS.BBALL_RADIUS;
+      case GAME_CONSTANTS.HOLE:
+        return GAME_CONSTANTS.HOLE_RADIUS;
+      case GAME_CONSTANTS.APPLE:
+        return GAME_CONSTANTS.APPLE_RADIUS;
+      case GAME_CONSTANTS.INSPECTOR:
+        return GAME_CONSTANTS.INSPECTOR_RADIUS;
+      case GAME_CONSTANTS.LUNATIC:
+        return GAME_CONSTANTS.LUNATIC_RADIUS;
+      case GAME_CONSTANTS.CREATOR:
+        return GAME_CONSTANTS.CREATOR_RADIUS;
+      case GAME_CONSTANTS.EHOLE:
+        return GAME_CONSTANTS.EHOLE_RADIUS;
+      default:
+        return 10;
+    }
+  }
+
+  getMass(type) {
+    switch (type) {
+      case GAME_CONSTANTS.ROCKET:
+        return GAME_CONSTANTS.ROCKETM;
+      case GAME_CONSTANTS.BALL_SMALL:
+        return GAME_CONSTANTS.BALL_SMALL_MASS;
+      case GAME_CONSTANTS.BALL_LARGE:
+        return GAME_CONSTANTS.BALL_LARGE_MASS;
+      case GAME_CONSTANTS.BBALL:
+        return GAME_CONSTANTS.BBALLM;
+      case GAME_CONSTANTS.APPLE:
+        return GAME_CONSTANTS.APPLEM;
+      case GAME_CONSTANTS.INSPECTOR:
+        return GAME_CONSTANTS.INSPECTORM;
+      case GAME_CONSTANTS.LUNATIC:
+        return GAME_CONSTANTS.LUNATICM;
+      case GAME_CONSTANTS.CREATOR:
+        return GAME_CONSTANTS.CREATORM;
+      case GAME_CONSTANTS.HOLE:
+        return GAME_CONSTANTS.HOLEM;
+      default:
+        return 1;
+    }
+  }
+
+  // Mutators can make balls heavier than their base mass
+  getMassScale(type) {
+    switch (type) {
+      case GAME_CONSTANTS.BALL_SMALL:
+      case GAME_CONSTANTS.BALL_LARGE:
+      case GAME_CONSTANTS.BBALL:
+        return this.tuning.ballMassScale;
+      default:
+        return 1;
+    }
+  }
+
+  // Advance the simulation by exactly one fixed timestep
+  step() {
+    if (this.gameState !== "running") return;
+
+    this.deltaTime = this.FIXED_TIMESTEP;
+    this.tick++;
+
+    // Remember where everything was for render interpolation
+    this.objects.forEach((obj) => {
+      obj.prevX = obj.x;
+      obj.prevY = obj.y;
+      obj.prevRotation = obj.rotation;
+    });
+
+    // Process input
+    this.processInput();
+
+    // Shields recover between hits
+    this.rechargeShields();
+
+    // Let self-propelled objects choose their thrust
+    this.updateBehaviors();
+
+    // Update physics
+    this.updatePhysics();
+
+    // Check collisions
+    this.checkCollisions();
+
+    // Walls are checked after collisions so a ball that reaches a hole
+    // before the wall within the same step still scores
+    this.checkWalls();
+
+    // Drop objects that died during this step
+    this.removeDeadObjects();
+
+    // Check win/lose conditions
+    this.checkGameState();
+  }
+
+  processInput() {
+    this.rockets.forEach((rocket, index) => {
+      if (!rocket.live) return;
+
+      const controls = this.inputSource.getPlayerControls(index);
+
+      // Reset forces
+      rocket.fx = 0;
+      rocket.fy = 0;
+
+      // Apply thrust forces based on input
+      const thrustForce = this.tuning.thrust;
+      const brakeForce = this.tuning.brake;
+
+      if (controls.up) {
+        rocket.fy -= thrustForce;
+      }
+      if (controls.down) {
+        rocket.fy += thrustForce;
+      }
+      if (controls.left) {
+        rocket.fx -= thrustForce;
+      }
+      if (controls.right) {
+        rocket.fx += thrustForce;
+      }
+
+      // Brake - apply counter-force and direct velocity reduction, unless a
+      // mutator took the brakes away
+      if (controls.brake && brakeForce !== null) {
+        rocket.fx -= rocket.vx * 0.1;
+        rocket.fy -= rocket.vy * 0.1;
+        rocket.vx *= brakeForce;
+        rocket.vy *= brakeForce;
+      }
+    });
+  }
+
+  rechargeShields() {
+    const { max, recharge, rechargeDelay } = this.shield;
+    this.rockets.forEach((rocket) => {
+      if (!rocket.live || rocket.shield >= max) return;
+      if (this.tick - rocket.lastHitTick < rechargeDelay) return;
+      rocket.shield = Math.min(max, rocket.shield + recharge);
+    });
+  }
+
+  updateBehaviors() {
+    this.objects.forEach((obj) => {
+      if (!obj.live) return;
+
+      switch (obj.type) {
+        case GAME_CONSTANTS.INSPECTOR:
+          this.steerInspector(obj);
+          break;
+        case GAME_CONSTANTS.LUNATIC:
+          this.driftLunatic(obj);
+          break;
+        case GAME_CONSTANTS.CREATOR:
+          this.runCreator(obj);
+          break;
+      }
+    });
+  }
+
+  // Inspectors thrust straight at the nearest live rocket
+  steerInspector(inspector) {
+    // Reset forces
+    inspector.fx = 0;
+    inspector.fy = 0;
+
+    const target = this.findNearestRocket(inspector.x, inspector.y);
+    if (!target) return;
+
+    const dx = target.x - inspector.x;
+    const dy = target.y - inspector.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance === 0) return;
+
+    inspector.fx = (dx / distance) * GAME_CONSTANTS.INSPECTOR_THRUST;
+    inspector.fy = (dy / distance) * GAME_CONSTANTS.INSPECTOR_THRUST;
+
+    // Face the target
+    inspector.rotation = Math.atan2(dy, dx) + Math.PI / 2;
+  }
+
+  // Lunatics wander with a random-walk heading and occasionally bolt off
+  // in a completely new direction
+  driftLunatic(lunatic) {
+    if (lunatic.heading === undefined) {
+      lunatic.heading = this.rng.range(0, Math.PI * 2);
+    }
+
+    if (this.rng.chance(GAME_CONSTANTS.LUNATIC_LURCH_CHANCE)) {
+      lunatic.heading = this.rng.range(0, Math.PI * 2);
+    } else {
+      lunatic.heading += this.rng.range(
+        -GAME_CONSTANTS.LUNATIC_TURN,
+        GAME_CONSTANTS.LUNATIC_TURN,
+      );
+    }
+
+    // Reset forces
+    lunatic.fx = Math.cos(lunatic.heading) * GAME_CONSTANTS.LUNATIC_THRUST;
+    lunatic.fy = Math.sin(lunatic.heading) * GAME_CONSTANTS.LUNATIC_THRUST;
+    lunatic.rotation = lunatic.heading + Math.PI / 2;
+  }
+
+  // Creators emit a new small ball every CREATOR_INTERVAL steps
+  runCreator(creator) {
+    if (creator.spawnTimer === undefined) {
+      // Stagger creators so they don't all fire on the same step
+      creator.spawnTimer = this.rng.int(1, GAME_CONSTANTS.CREATOR_INTERVAL);
+    }
+
+    creator.spawnTimer--;
+    if (creator.spawnTimer > 0) return;
+    creator.spawnTimer = GAME_CONSTANTS.CREATOR_INTERVAL;
+
+    const aliveBalls = this.balls.filter((ball) => ball.live).length;
+    if (aliveBalls >= GAME_CONSTANTS.CREATOR_MAX_BALLS) return;
+
+    // Launch the ball outward from just beyond the creator's rim
+    const angle = this.rng.range(0, Math.PI * 2);
+    const distance = creator.radius + GAME_CONSTANTS.BALL_SMALL_RADIUS + 2;
+
+    const ball = this.createGameObject({
+      type: GAME_CONSTANTS.BALL_SMALL,
+      x: creator.x + Math.cos(angle) * distance,
+      y: creator.y + Math.sin(angle) * distance,
+      vx: creator.vx + Math.cos(angle),
+      vy: creator.vy + Math.sin(angle),
+      color: GAME_CONSTANTS.BALL_SMALL_COLOR,
+    });
+
+    this.balls.push(ball);
+    this.emit("ballCreated", { ball, creator });
+  }
+
+  findNearestRocket(x, y) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    this.rockets.forEach((rocket) => {
+      if (!rocket.live) return;
+
+      const dx = rocket.x - x;
+      const dy = rocket.y - y;
+      const distance = dx * dx + dy * dy;
+      if (distance < nearestDistance) {
+        nearest = rocket;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearest;
+  }
+
+  // Velocities are in pixels per simulation step; every per-step factor below
+  // (friction, caps) is therefore independent of the display refresh rate
+  updatePhysics() {
+    // Index gravity sources once per step instead of scanning per object
+    this.gravityGrid.clear();
+    this.maxGravityRange = 0;
+    this.objects.forEach((obj, index) => {
+      if (obj.live && this.getGravitySign(obj.type) !== 0) {
+        this.gravityGrid.insert(index, obj.x, obj.y);
+        this.maxGravityRange = Math.max(
+          this.maxGravityRange,
+          this.getGravityRange(obj).max,
+        );
+      }
+    });
+
+    this.objects.forEach((obj) => {
+      if (!obj.live || this.isFixed(obj)) return;
+
+      // Apply gravitational forces from holes
+      this.applyGravity(obj);
+
+      // Apply forces to acceleration (F = ma, so a = F/m)
+      if (obj.fx !== undefined && obj.fy !== undefined) {
+        const ax = obj.fx / obj.mass;
+        const ay = obj.fy / obj.mass;
+
+        // Update velocity with acceleration
+        obj.vx += ax * this.deltaTime;
+        obj.vy += ay * this.deltaTime;
+      }
+
+      // Apply friction (different for rockets vs other objects)
+      const friction =
+        obj.type === GAME_CONSTANTS.ROCKET
+          ? this.tuning.rocketFriction
+          : this.tuning.objectFriction;
+      obj.vx *= friction;
+      obj.vy *= friction;
+
+      // Cap maximum velocity to prevent runaway speeds
+      const maxVel =
+        obj.type === GAME_CONSTANTS.ROCKET
+          ? this.MAX_ROCKET_SPEED
+          : this.MAX_OBJECT_SPEED;
+      const vel = Math.sqrt(obj.vx * obj.vx + obj.vy * obj.vy);
+      if (vel > maxVel) {
+        obj.vx = (obj.vx / vel) * maxVel;
+        obj.vy = (obj.vy / vel) * maxVel;
+      }
+
+      // Update position
+      obj.x += obj.vx;
+      obj.y += obj.vy;
+
+      // Update rotation for rockets based on thrust direction
+      if (obj.type === GAME_CONSTANTS.ROCKET) {
+        if (obj.fx !== 0 || obj.fy !== 0) {
+          obj.rotation = Math.atan2(obj.fy, obj.fx) + Math.PI / 2;
+        }
+      }
+    });
+  }
+
+  checkWalls() {
+    this.objects.forEach((obj) => {
+      if (obj.live) {
+        // Keep objects within bounds
+        this.keepInBounds(obj);
+      }
+    });
+  }
+
+  // Fraction of this step's movement (0..1) at which the object first touched
+  // a deadly wall, or Infinity if it stayed clear of them
+  wallImpactTime(obj) {
+    // Skip holes - they don't move and shouldn't die
+    if (obj.type === GAME_CONSTANTS.HOLE || this.isFixed(obj)) return Infinity;
+
+    const min = obj.radius;
+    const maxX = this.width - obj.radius;
+    const maxY = this.height - obj.radius;
+    const walls = this.walls;
+
+    const axisTime = (from, to, low, high, lowDeadly, highDeadly) => {
+      if (to < low && lowDeadly) {
+        return from <= low ? 0 : (from - low) / (from - to);
+      }
+      if (to > high && highDeadly) {
+        return from >= high ? 0 : (high - from) / (to - from);
+      }
+      return Infinity;
+    };
+
+    return Math.min(
+      axisTime(
+        obj.prevX,
+        obj.x,
+        min,
+        maxX,
+        walls.left === "deadly",
+        walls.right === "deadly",
+      ),
+      axisTime(
+        obj.prevY,
+        obj.y,
+        min,
+        maxY,
+        walls.top === "deadly",
+        walls.bottom === "deadly",
+      ),
+    );
+  }
+
+  keepInBounds(obj) {
+    // Holes and EHoles stay where they are whatever the walls do
+    if (obj.type === GAME_CONSTANTS.HOLE || this.isFixed(obj)) return;
+
+    // Sweep from the start of the step so fast objects die where they
+    // actually reached the wall, not somewhere beyond it
+    const t = this.wallImpactTime(obj);
+
+    if (t > 1 || this.isInvulnerable(obj)) {
+      // Freshly respawned rockets bounce off deadly walls instead of dying
+      if (t <= 1) this.bounceOffWalls(obj, "deadly", 1);
+      this.bounceOffWalls(obj, "bouncy", this.walls.restitution);
+      this.wrapAroundWalls(obj);
+      return;
+    }
+
+    obj.x = obj.prevX + (obj.x - obj.prevX) * t;
+    obj.y = obj.prevY + (obj.y - obj.prevY) * t;
+
+    // All movable objects die when hitting deadly walls
+    obj.live = false;
+
+    // Award points for destroying balls; bouncy and wrapping walls never score
+    if (obj.type === GAME_CONSTANTS.BALL_SMALL) {
+      // 5 points for small ball wall destruction
+      this.checkExtraLife(false, this.addScore(this.scoring.ballInWall, obj));
+    } else if (obj.type === GAME_CONSTANTS.BALL_LARGE) {
+      // 10 points for large ball wall destruction (2x small)
+      this.checkExtraLife(
+        false,
+        this.addScore(this.scoring.bigBallInWall, obj),
+      );
+    }
+
+    this.emitDestroyed(obj, "wall");
+  }
+
+  // Clamp the object inside the arena at every wall of the given mode it
+  // crossed and send it back inward, keeping `restitution` of its speed
+  bounceOffWalls(obj, mode, restitution) {
+    const walls = this.walls;
+    const minX = obj.radius;
+    const minY = obj.radius;
+    const maxX = this.width - obj.radius;
+    const maxY = this.height - obj.radius;
+
+    if (obj.x < minX && walls.left === mode) {
+      obj.x = minX;
+      obj.vx = Math.abs(obj.vx) * restitution;
+    } else if (obj.x > maxX && walls.right === mode) {
+      obj.x = maxX;
+      obj.vx = -Math.abs(obj.vx) * restitution;
+    }
+    if (obj.y < minY && walls.top === mode) {
+      obj.y = minY;
+      obj.vy = Math.abs(obj.vy) * restitution;
+    } else if (obj.y > maxY && walls.bottom === mode) {
+      obj.y = maxY;
+      obj.vy = -Math.abs(obj.vy) * restitution;
+    }
+  }
+
+  // Objects whose centre leaves through a wrapping side reappear on the
+  // opposite one. The previous position moves along so rendering doesn't
+  // interpolate across the whole arena.
+  wrapAroundWalls(obj) {
+    const walls = this.walls;
+
+    if (walls.left === "wrap") {
+      const shift =
+        obj.x < 0 ? this.width : obj.x >= this.width ? -this.width : 0;
+      obj.x += shift;
+      obj.prevX += shift;
+    }
+    if (walls.top === "wrap") {
+      const shift =
+        obj.y < 0 ? this.height : obj.y >= this.height ? -this.height : 0;
+      obj.y += shift;
+      obj.prevY += shift;
+    }
+  }
+
+  checkCollisions() {
+    const objects = this.objects;
+
+    // Broadphase: bucket live objects by their centres
+    let maxRadius = 0;
+    let maxTravel = 0;
+    this.collisionGrid.clear();
+    objects.forEach((obj, index) => {
+      if (!obj.live) return;
+      maxRadius = Math.max(maxRadius, obj.radius);
+      maxTravel = Math.max(maxTravel, this.getTravel(obj));
+      this.collisionGrid.insert(index, obj.x, obj.y);
+    });
+
+    // Search far enough to reach any partner (its radius is at most
+    // maxRadius), plus maxRadius again for objects pushed together by an
+    // earlier separation in this same pass, as the all-pairs loop allowed.
+    // Both objects' travel this step is added so swept contacts are found.
+    const candidates = [];
+
+    // Narrowphase in the same (i, j) order as before so results are unchanged
+    for (let i = 0; i < objects.length; i++) {
+      const obj1 = objects[i];
+      if (!obj1.live) continue;
+
+      this.collisionGrid.query(
+        obj1.x,
+        obj1.y,
+        obj1.radius + maxRadius * 2 + this.getTravel(obj1) + maxTravel,
+        candidates,
+      );
+      candidates.sort((a, b) => a - b);
+
+      for (const j of candidates) {
+        if (j <= i) continue;
+        const obj2 = objects[j];
+
+        if (!obj1.live || !obj2.live) continue;
+
+        // Earliest contact within this step, if any
+        const t = this.sweptImpactTime(obj1, obj2);
+        const dx = obj2.x - obj1.x;
+        const dy = obj2.y - obj1.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const minDistance = obj1.radius + obj2.radius;
+        if (t === null && distance >= minDistance) continue;
+
+        // Ignore contacts after either object already hit a wall
+        if (
+          t !== null &&
+          t > Math.min(this.wallImpactTime(obj1), this.wallImpactTime(obj2))
+        ) {
+          continue;
+        }
+
+        if (distance < minDistance) {
+          this.handleCollision(obj1, obj2, dx, dy, distance);
+        } else {
+          // Passed through each other between steps - resolve at contact
+          this.handleSweptCollision(obj1, obj2, t);
+        }
+      }
+    }
+  }
+
+  // Distance an object moved during the current step
+  getTravel(obj) {
+    const dx = obj.x - obj.prevX;
+    const dy = obj.y - obj.prevY;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  // Swept-circle test: fraction of this step (0..1) at which the two circles
+  // first touch while moving from their previous to current positions, or
+  // null if they never do. Overlapping at the start of the step returns 0
+  // if they are closing in and null if they are already moving apart, which
+  // leaves them to the ordinary overlap resolution.
+  sweptImpactTime(obj1, obj2) {
+    const sx = obj2.prevX - obj1.prevX;
+    const sy = obj2.prevY - obj1.prevY;
+    const mx = obj2.x - obj2.prevX - (obj1.x - obj1.prevX);
+    const my = obj2.y - obj2.prevY - (obj1.y - obj1.prevY);
+    const minDistance = obj1.radius + obj2.radius;
+
+    const c = sx * sx + sy * sy - minDistance * minDistance;
+    if (c < 0) return sx * mx + sy * my < 0 ? 0 : null;
+
+    const a = mx * mx + my * my;
+    if (a === 0) return null;
+
+    const b = 2 * (sx * mx + sy * my);
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    return t >= 0 && t <= 1 ? t : null;
+  }
+
+  handleSweptCollision(obj1, obj2, t) {
+    // Rewind both objects to the moment of contact
+    [obj1, obj2].forEach((obj) => {
+      obj.x = obj.prevX + (obj.x - obj.prevX) * t;
+      obj.y = obj.prevY + (obj.y - obj.prevY) * t;
+    });
+
+    const dx = obj2.x - obj1.x;
+    const dy = obj2.y - obj1.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    this.handleCollision(obj1, obj2, dx, dy, distance);
+
+    // Spend the rest of the step moving with the post-impact velocities
+    [obj1, obj2].forEach((obj) => {
+      if (!obj.live) return;
+      obj.x += obj.vx * (1 - t);
+      obj.y += obj.vy * (1 - t);
+    });
+  }
+
+  handleCollision(obj1, obj2, dx, dy, distance) {
+    // Normalize collision vector
+    const nx = dx / distance;
+    const ny = dy / distance;
+
+    // Fixed bodies (EHoles) never give way: the other object takes the whole
+    // separation and bounces straight off, as if from infinite mass
+    const fixed1 = this.isFixed(obj1);
+    const fixed2 = this.isFixed(obj2);
+
+    // Separate objects
+    const overlap = (obj1.radius + obj2.radius - distance) / 2;
+    const push1 = fixed1 ? 0 : fixed2 ? overlap * 2 : overlap;
+    const push2 = fixed2 ? 0 : fixed1 ? overlap * 2 : overlap;
+    obj1.x -= nx * push1;
+    obj1.y -= ny * push1;
+    obj2.x += nx * push2;
+    obj2.y += ny * push2;
+
+    // Calculate relative velocity
+    const dvx = obj2.vx - obj1.vx;
+    const dvy = obj2.vy - obj1.vy;
+    const dvn = dvx * nx + dvy * ny;
+
+    // Don't resolve if velocities are separating
+    if (dvn > 0) return;
+
+    if (fixed1 || fixed2) {
+      // Reflect the moving object's normal velocity
+      if (!fixed1) {
+        obj1.vx += 2 * dvn * nx;
+        obj1.vy += 2 * dvn * ny;
+      }
+      if (!fixed2) {
+        obj2.vx -= 2 * dvn * nx;
+        obj2.vy -= 2 * dvn * ny;
+      }
+    } else {
+      // Calculate collision impulse
+      const impulse = (2 * dvn) / (obj1.mass + obj2.mass);
+
+      // Apply impulse
+      obj1.vx += impulse * obj2.mass * nx;
+      obj1.vy += impulse * obj2.mass * ny;
+      obj2.vx -= impulse * obj1.mass * nx;
+      obj2.vy -= impulse * obj1.mass * ny;
+    }
+
+    // Remember which rocket last touched each object
+    if (obj1.type === GAME_CONSTANTS.ROCKET) this.markTouched(obj2, obj1);
+    if (obj2.type === GAME_CONSTANTS.ROCKET) this.markTouched(obj1, obj2);
+
+    // Mass transfer based on relative velocities
+    this.handleMassTransfer(obj1, obj2);
+
+    // Handle special collision cases; -dvn is the closing speed
+    this.handleSpecialCollisions(obj1, obj2, -dvn);
+
+    this.emit("collision", { obj1, obj2 });
+  }
+
+  markTouched(obj, rocket) {
+    obj.lastTouchedBy = rocket.playerId;
+    obj.lastTouchedTick = this.tick;
+  }
+
+  // Player who gets credit for an object's death: whoever touched it last,
+  // as long as that was recent enough to matter
+  getCreditedPlayer(obj, window = this.killCreditWindow) {
+    if (obj.lastTouchedBy === undefined) return -1;
+    if (this.tick - obj.lastTouchedTick > window) return -1;
+    return obj.lastTouchedBy;
+  }
+
+  // Points go to the team score and to the player who last touched the
+  // object, however long ago. Returns that player's id, or -1.
+  addScore(points, obj) {
+    this.score += points;
+
+    const playerId = this.getCreditedPlayer(obj, Infinity);
+    if (playerId !== -1) {
+      this.players[playerId].score += points;
+    }
+    return playerId;
+  }
+
+  handleMassTransfer(obj1, obj2) {
+    // Skip mass transfer for special objects (holes, creators, etc.)
+    const transferableTypes = [
+      GAME_CONSTANTS.ROCKET,
+      GAME_CONSTANTS.BALL_SMALL,
+      GAME_CONSTANTS.BALL_LARGE,
+      GAME_CONSTANTS.BBALL,
+      GAME_CONSTANTS.APPLE,
+      GAME_CONSTANTS.INSPECTOR,
+      GAME_CONSTANTS.LUNATIC,
+    ];
+
+    if (
+      !transferableTypes.includes(obj1.type) ||
+      !transferableTypes.includes(obj2.type)
+    ) {
+      return;
+    }
+
+    // Calculate velocity magnitudes
+    const vel1 = Math.sqrt(obj1.vx * obj1.vx + obj1.vy * obj1.vy);
+    const vel2 = Math.sqrt(obj2.vx * obj2.vx + obj2.vy * obj2.vy);
+
+    // Only transfer mass if there's a significant velocity difference
+    if (Math.abs(vel1 - vel2) < GAME_CONSTANTS.VELOCITY_THRESHOLD) {
+      return;
+    }
+
+    // Determine which object is faster and which is slower
+    let fasterObj, slowerObj;
+    if (vel1 > vel2) {
+      fasterObj = obj1;
+      slowerObj = obj2;
+    } else {
+      fasterObj = obj2;
+      slowerObj = obj1;
+    }
+
+    // Calculate mass transfer amount (proportional to velocity difference)
+    const velocityDifference = Math.abs(vel1 - vel2);
+    const baseMassTransfer = slowerObj.mass * GAME_CONSTANTS.MASS_TRANSFER_RATE;
+    const massTransfer = baseMassTransfer * Math.min(velocityDifference / 5, 1); // Cap the multiplier
+
+    // Ensure slower object doesn't go below minimum mass
+    const actualMassTransfer = Math.min(
+      massTransfer,
+      slowerObj.mass - GAME_CONSTANTS.MIN_MASS_THRESHOLD,
+    );
+
+    // Only transfer if there's actually mass to transfer
+    if (actualMassTransfer > 0) {
+      slowerObj.mass -= actualMassTransfer;
+      fasterObj.mass += actualMassTransfer;
+
+      this.emit("massTransfer", {
+        from: slowerObj,
+        to: fasterObj,
+        amount: actualMassTransfer,
+        x: (obj1.x + obj2.x) / 2,
+        y: (obj1.y + obj2.y) / 2,
+      });
+    }
+  }
+
+  handleSpecialCollisions(obj1, obj2, impactSpeed = 0) {
+    // Ball into hole (scoring)
+    if (
+      ((obj1.type === GAME_CONSTANTS.BALL_SMALL ||
+        obj1.type === GAME_CONSTANTS.BALL_LARGE) &&
+        obj2.type === GAME_CONSTANTS.HOLE) ||
+      ((obj2.type === GAME_CONSTANTS.BALL_SMALL ||
+        obj2.type === GAME_CONSTANTS.BALL_LARGE) &&
+        obj1.type === GAME_CONSTANTS.HOLE)
+    ) {
+      const ball =
+        obj1.type === GAME_CONSTANTS.BALL_SMALL ||
+        obj1.type === GAME_CONSTANTS.BALL_LARGE
+          ? obj1
+          : obj2;
+      const hole = ball === obj1 ? obj2 : obj1;
+      ball.live = false;
+      this.feedHole(hole, ball);
+      // Award points based on ball size: 10 for small, 20 for large (2x small)
+      const points =
+        ball.type === GAME_CONSTANTS.BALL_LARGE
+          ? this.scoring.bigBallInHole
+          : this.scoring.ballInHole;
+      this.checkExtraLife(false, this.addScore(points, ball));
+      this.emitDestroyed(ball, "hole");
+      this.emit("ballInHole", { ball, hole });
+      return;
+    }
+
+    // Apple into hole (big bonus plus a life)
+    if (
+      (obj1.type === GAME_CONSTANTS.APPLE &&
+        obj2.type === GAME_CONSTANTS.HOLE) ||
+      (obj2.type === GAME_CONSTANTS.APPLE && obj1.type === GAME_CONSTANTS.HOLE)
+    ) {
+      const apple = obj1.type === GAME_CONSTANTS.APPLE ? obj1 : obj2;
+      const hole = apple === obj1 ? obj2 : obj1;
+
+      apple.live = false;
+      this.feedHole(hole, apple);
+      this.checkExtraLife(true, this.addScore(this.scoring.apple, apple));
+      this.emitDestroyed(apple, "hole");
+      return;
+    }
+
+    // Enemy into hole (bonus)
+    if (
+      (this.getHoleBonus(obj1.type) > 0 && obj2.type === GAME_CONSTANTS.HOLE) ||
+      (this.getHoleBonus(obj2.type) > 0 && obj1.type === GAME_CONSTANTS.HOLE)
+    ) {
+      const enemy = obj1.type === GAME_CONSTANTS.HOLE ? obj2 : obj1;
+      const hole = enemy === obj1 ? obj2 : obj1;
+
+      enemy.live = false;
+      this.feedHole(hole, enemy);
+      this.checkExtraLife(
+        false,
+        this.addScore(this.getHoleBonus(enemy.type), enemy),
+      );
+      this.emitDestroyed(enemy, "hole");
+      return;
+    }
+
+    // Rocket into hole (death)
+    if (
+      (obj1.type === GAME_CONSTANTS.ROCKET &&
+        obj2.type === GAME_CONSTANTS.HOLE) ||
+      (obj2.type === GAME_CONSTANTS.ROCKET && obj1.type === GAME_CONSTANTS.HOLE)
+    ) {
+      const rocket = obj1.type === GAME_CONSTANTS.ROCKET ? obj1 : obj2;
+      const hole = rocket === obj1 ? obj2 : obj1;
+
+      // Freshly respawned rockets just bounce off
+      if (this.isInvulnerable(rocket)) return;
+
+      rocket.live = false;
+      this.feedHole(hole, rocket);
+      this.emitDestroyed(rocket, "hole");
+      return;
+    }
+
+    // Rocket collision damage
+    if (obj1.type === GAME_CONSTANTS.ROCKET) {
+      this.damageRocket(obj1, obj2, impactSpeed);
+    }
+    if (obj2.type === GAME_CONSTANTS.ROCKET) {
+      this.damageRocket(obj2, obj1, impactSpeed);
+    }
+  }
+
+  // Hard impacts drain the shield in proportion to the excess closing speed
+  // and the mass of what was hit; an empty shield destroys the rocket
+  damageRocket(rocket, other, impactSpeed) {
+    if (!rocket.live || this.isInvulnerable(rocket)) return;
+
+    const { threshold, damage: damageScale } = this.shield;
+    const damage =
+      Math.max(0, impactSpeed - threshold) * other.mass * damageScale;
+    if (damage <= 0) return;
+
+    rocket.shield = Math.max(0, rocket.shield - damage);
+    rocket.lastHitTick = this.tick;
+    this.emit("rocketDamaged", { rocket, damage, shield: rocket.shield });
+
+    if (rocket.shield === 0) {
+      rocket.live = false;
+      this.emitDestroyed(rocket, "impact");
+    }
+  }
+
+  // Every object that dies is reported with its cause ("wall", "hole",
+  // "impact" or "collapse"); rocket deaths are also reported on their own,
+  // with the player
+  emitDestroyed(object, cause) {
+    this.emit("objectDestroyed", { object, cause });
+    if (object.type === GAME_CONSTANTS.ROCKET) {
+      this.emit("rocketDestroyed", {
+        rocket: object,
+        playerId: object.playerId,
+        cause,
+      });
+    }
+  }
+
+  // A hole swallows the object's mass and grows: its radius scales with the
+  // square root of its mass (constant density) and its pull with the mass
+  feedHole(hole, obj) {
+    if (!hole.live) return;
+
+    hole.mass += obj.mass;
+    hole.radius =
+      GAME_CONSTANTS.HOLE_RADIUS * Math.sqrt(hole.mass / GAME_CONSTANTS.HOLEM);
+
+    if (this.holeCollapseMass !== null && hole.mass >= this.holeCollapseMass) {
+      hole.live = false;
+      this.emitDestroyed(hole, "collapse");
+      return;
+    }
+
+    if (
+      !hole.supermassive &&
+      this.holeSupermassiveMass !== null &&
+      hole.mass >= this.holeSupermassiveMass
+    ) {
+      hole.supermassive = true;
+      this.emit("holeSupermassive", { hole });
+    }
+
+    this.emit("holeGrew", { hole, swallowed: obj });
+  }
+
+  // How strongly a gravity source pulls, relative to GRAVITY_STRENGTH
+  getGravityScale(source) {
+    // Level files can make individual holes and EHoles stronger or weaker
+    const strength = source.strength ?? 1;
+    if (source.type !== GAME_CONSTANTS.HOLE) return strength;
+
+    const scale = (source.mass / GAME_CONSTANTS.HOLEM) * strength;
+    return source.supermassive
+      ? scale * GAME_CONSTANTS.HOLE_SUPERMASSIVE_PULL
+      : scale;
+  }
+
+  // Gravity reach of a source; a hole's field widens along with its radius
+  getGravityRange(source) {
+    const growth = source.radius / this.getRadius(source.type);
+    return {
+      min: this.MIN_GRAVITY_DISTANCE * growth,
+      max: this.MAX_GRAVITY_DISTANCE * growth,
+    };
+  }
+
+  // Points for knocking an enemy into a hole (0 for everything else)
+  getHoleBonus(type) {
+    switch (type) {
+      case GAME_CONSTANTS.INSPECTOR:
+        return this.scoring.inspector;
+      case GAME_CONSTANTS.LUNATIC:
+        return this.scoring.lunatic;
+      case GAME_CONSTANTS.CREATOR:
+        return this.scoring.creator;
+      default:
+        return 0;
+    }
+  }
+
+  // Objects that never move and aren't moved by collisions
+  isFixed(obj) {
+    return obj.type === GAME_CONSTANTS.EHOLE;
+  }
+
+  // +1 for attracting holes, -1 for repelling EHoles, 0 for everything else
+  getGravitySign(type) {
+    switch (type) {
+      case GAME_CONSTANTS.HOLE:
+        return 1;
+      case GAME_CONSTANTS.EHOLE:
+        return -1;
+      default:
+        return 0;
+    }
+  }
+
+  removeDeadObjects() {
+    this.objects = this.objects.filter((obj) => {
+      if (!obj.live) {
+        this.emit("objectRemoved", obj);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  checkGameState() {
+    if (this.gameMode === "deathmatch") {
+      this.checkDeathmatchState();
+      return;
+    }
+
+    if (this.isLevelWon()) {
+      // Award level completion bonus
+      const levelBonus = this.scoring.levelBonus;
+      this.score += levelBonus;
+      this.gameState = "levelComplete";
+
+      this.emit("levelComplete", {
+        level: this.level,
+        score: this.score,
+        levelBonus,
+      });
+
+      // Check for extra life after level bonus
+      this.checkExtraLife();
+      return;
+    }
+
+    // Each rocket has its own lives and respawns on its own; the game is over
+    // once every player is out
+    if (!this.restartOnDeath) {
+      this.handleRocketDeaths();
+      if (this.players.every((player) => player.eliminated)) {
+        this.gameState = "gameOver";
+        this.emit("gameOver", {
+          score: this.score,
+          level: this.level,
+          players: this.players,
+          modifiers: this.getModifiers(),
+        });
+      }
+      return;
+    }
+
+    // Check if all rockets are destroyed
+    const aliveRockets = this.rockets.filter((rocket) => rocket.live);
+    if (aliveRockets.length === 0) {
+      this.lives--;
+      this.players.forEach((player) => {
+        player.lives = this.lives; // Lives are shared under this rule
+      });
+      if (this.lives <= 0) {
+        this.gameState = "gameOver";
+        this.emit("gameOver", {
+          score: this.score,
+          level: this.level,
+          modifiers: this.getModifiers(),
+        });
+      } else {
+        this.restartLevel();
+      }
+    }
+  }
+
+  isLevelWon() {
+    switch (this.winCondition.type) {
+      case "score":
+        return this.score >= this.winCondition.points;
+      case "survive":
+        return this.tick - this.levelStartTick >= this.winCondition.steps;
+      default: {
+        // Check if all balls are destroyed
+        const aliveBalls = this.objects.filter(
+          (obj) =>
+            obj.live &&
+            (obj.type === GAME_CONSTANTS.BALL_SMALL ||
+              obj.type === GAME_CONSTANTS.BALL_LARGE),
+        );
+
+        // Creators keep refilling the field, so they have to go too
+        const aliveCreators = this.objects.filter(
+          (obj) => obj.live && obj.type === GAME_CONSTANTS.CREATOR,
+        );
+
+        return aliveBalls.length === 0 && aliveCreators.length === 0;
+      }
+    }
+  }
+
+  // Rockets are the only objective in deathmatch: every death costs that
+  // player a life and credits the last opponent who touched them, and the
+  // round ends when at most one player is left standing
+  checkDeathmatchState() {
+    this.handleRocketDeaths();
+
+    const standing = this.players.filter((player) => !player.eliminated);
+    if (standing.length > 1) return;
+
+    const winner = standing[0] || null; // null when the last ones died together
+    if (winner) winner.roundWins++;
+
+    this.emit("roundComplete", {
+      round: this.round,
+      winnerId: winner ? winner.playerId : -1,
+      players: this.players,
+    });
+
+    if (winner && winner.roundWins >= this.roundsToWin) {
+      this.gameState = "gameOver";
+      this.emit("gameOver", {
+        score: this.score,
+        level: this.level,
+        winnerId: winner.playerId,
+        players: this.players,
+        modifiers: this.getModifiers(),
+      });
+      return;
+    }
+
+    // Next round on the same layout, everyone back at full lives
+    this.round++;
+    this.players.forEach((player) => {
+      player.lives = this.deathmatchLives;
+      player.eliminated = false;
+      player.respawnAt = null;
+    });
+    this.restartLevel();
+  }
+
+  // Charge a life to every player whose rocket died this step and schedule
+  // its respawn while lives remain. The last rocket to touch the victim is
+  // named as the killer; in deathmatch that also counts as a kill.
+  handleRocketDeaths() {
+    this.rockets.forEach((rocket, index) => {
+      const player = this.players[index];
+      if (rocket.live || player.eliminated) return;
+
+      if (player.respawnAt !== null) {
+        if (this.tick >= player.respawnAt) this.respawnRocket(player);
+        return;
+      }
+
+      let killerId = this.getCreditedPlayer(rocket);
+      if (killerId === player.playerId) killerId = -1;
+      if (killerId !== -1 && this.gameMode === "deathmatch") {
+        this.players[killerId].kills++;
+      }
+      this.emit("playerKilled", { playerId: player.playerId, killerId });
+
+      player.lives--;
+      if (player.lives > 0) {
+        player.respawnAt = this.tick + this.respawnDelay;
+      } else {
+        player.eliminated = true;
+        this.emit("playerEliminated", { playerId: player.playerId });
+      }
+    });
+
+    this.lives = this.getTeamLives();
+  }
+
+  // Bring a player's rocket back at a safe spot near its start position,
+  // leaving the rest of the level as it is
+  respawnRocket(player) {
+    player.respawnAt = null;
+    const rocket = this.createRocket(player.playerId);
+    this.rockets[player.playerId] = rocket;
+    this.emit("rocketRespawned", { rocket, playerId: player.playerId });
+  }
+
+  isInvulnerable(obj) {
+    return (
+      obj.invulnerableUntil !== undefined && this.tick < obj.invulnerableUntil
+    );
+  }
+
+  getTeamLives() {
+    return this.players.reduce((total, player) => total + player.lives, 0);
+  }
+
+  pause() {
+    this.gameState = "paused";
+  }
+
+  resume() {
+    this.gameState = "running";
+  }
+
+  // Full restart of the current level layout. Every rocket is rebuilt, so
+  // pending respawns are dropped.
+  restartLevel() {
+    this.players.forEach((player) => {
+      player.respawnAt = null;
+    });
+    this.clearGame();
+    this.initLevel();
+    this.gameState = "running";
+  }
+
+  applyGravity(obj) {
+    // Skip holes - they don't get affected by gravity
+    if (obj.type === GAME_CONSTANTS.HOLE) return;
+
+    // Apply gravitational pull from nearby holes (and push from EHoles), in
+    // object order so forces sum exactly as they did when every object was
+    // scanned
+    const sources = this.gravityGrid
+      .query(obj.x, obj.y, this.maxGravityRange)
+      .sort((a, b) => a - b);
+
+    sources.forEach((index) => {
+      const hole = this.objects[index];
+      const sign = this.getGravitySign(hole.type);
+      if (!hole.live || sign === 0) return;
+
+      const dx = hole.x - obj.x;
+      const dy = hole.y - obj.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      const range = this.getGravityRange(hole);
+
+      // Only apply gravity if within range and not too close
+      if (distance < range.max && distance > range.min) {
+        // Calculate gravitational force (simplified physics), reversed for
+        // repulsors and scaled by how much the hole has swallowed
+        const gravityForce =
+          (sign * this.GRAVITY_STRENGTH * this.getGravityScale(hole)) /
+          (distance * distance);
+
+        // Normalize direction vector
+        const nx = dx / distance;
+        const ny = dy / distance;
+
+        // Apply gravity force (add to existing forces)
+        obj.fx += nx * gravityForce;
+        obj.fy += ny * gravityForce;
+      }
+    });
+  }
+
+  // Check if player earned an extra life. A bonus life (e.g. from an apple)
+  // is granted on top of the score thresholds and doesn't move nextLifeAt.
+  // With several players lives are earned by `playerId` on their own score.
+  checkExtraLife(bonusLife = false, playerId = -1) {
+    if (this.playerCount > 1) {
+      this.checkPlayerExtraLife(bonusLife, playerId);
+    } else {
+      this.checkTeamExtraLife(bonusLife);
+    }
+
+    // Always emit score update
+    this.emit("scoreUpdate", {
+      score: this.score,
+      level: this.level,
+      lives: this.lives,
+      players: this.players,
+    });
+  }
+
+  checkPlayerExtraLife(bonusLife, playerId) {
+    const player = this.players[playerId];
+    if (!player || player.eliminated) return;
+
+    const earned =
+      (bonusLife ? 1 : 0) + (player.score >= player.nextLifeAt ? 1 : 0);
+    if (player.score >= player.nextLifeAt) {
+      player.nextLifeAt += this.tuning.extraLifeScore;
+    }
+    if (earned === 0) return;
+
+    player.lives += earned;
+    this.lives = this.getTeamLives();
+
+    this.emit("extraLife", {
+      playerId,
+      score: player.score,
+      level: this.level,
+      lives: player.lives,
+      nextLifeAt: player.nextLifeAt,
+    });
+  }
+
+  checkTeamExtraLife(bonusLife) {
+    if (bonusLife) {
+      this.lives++;
+
+      this.emit("extraLife", {
+        score: this.score,
+        level: this.level,
+        lives: this.lives,
+        nextLifeAt: this.nextLifeAt,
+      });
+    }
+
+    if (this.score >= this.nextLifeAt) {
+      this.lives++;
+      this.nextLifeAt += this.tuning.extraLifeScore;
+
+      this.emit("extraLife", {
+        score: this.score,
+        level: this.level,
+        lives: this.lives,
+        nextLifeAt: this.nextLifeAt,
+      });
+    }
+
+    if (this.players[0]) this.players[0].lives = this.lives;
+  }
+
+  stop() {
+    this.gameState = "stopped";
+  }
+}
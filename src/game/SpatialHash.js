@@ -0,0 +1,61 @@
+/**
+ * SpatialHash.js - Uniform grid broadphase for Koules
+ *
+ * Buckets points into square cells so neighbours can be found without
+ * testing every pair of objects. It only narrows down candidates; callers
+ * still run their own exact overlap test.
+ */
+
+export class SpatialHash {
+  constructor(cellSize = 64) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+  }
+
+  // Empty every cell but keep the arrays around to avoid garbage each step
+  clear() {
+    this.cells.forEach((cell) => {
+      cell.length = 0;
+    });
+  }
+
+  // Pack integer cell coordinates into a single numeric map key
+  key(cx, cy) {
+    return (cx + 32768) * 65536 + (cy + 32768);
+  }
+
+  // Add an item to the cell containing (x, y)
+  insert(item, x, y) {
+    const key = this.key(
+      Math.floor(x / this.cellSize),
+      Math.floor(y / this.cellSize),
+    );
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = [];
+      this.cells.set(key, cell);
+    }
+    cell.push(item);
+  }
+
+  // Items in every cell overlapping the square of half-size `radius` around
+  // (x, y). Each item lives in one cell, so the result has no duplicates.
+  query(x, y, radius, out = []) {
+    const minX = Math.floor((x - radius) / this.cellSize);
+    const maxX = Math.floor((x + radius) / this.cellSize);
+    const minY = Math.floor((y - radius) / this.cellSize);
+    const maxY = Math.floor((y + radius) / this.cellSize);
+
+    out.length = 0;
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        const cell = this.cells.get(this.key(cx, cy));
+        if (!cell) continue;
+        for (let i = 0; i < cell.length; i++) {
+          out.push(cell[i]);
+        }
+      }
+    }
+    return out;
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * Stats.js - Lifetime player statistics and achievements for Koules
+ *
+ * PlayerStats listens to a running game (the Simulation, or the GameEngine
+ * that forwards its events) and keeps lifetime totals in localStorage:
+ * balls sunk, how the player's rocket died, levels reached, its mass and
+ * so on. Bots and other players' rockets don't count. Achievements are conditions on those totals; each one unlocks once and
+ * is announced with an `achievementUnlocked` event.
+ */
+
+import { EventEmitter } from "./EventEmitter.js";
+import { GAME_CONSTANTS } from "./GameConstants.js";
+
+export const STATS_VERSION = 1;
+
+const DEFAULT_KEY = "koulesII.stats";
+
+export const ACHIEVEMENTS = {
+  firstSink: {
+    name: "Hole in One",
+    description: "Sink a ball into a hole",
+    unlocked: (stats) => stats.ballsSunk >= 1,
+  },
+  ballHog: {
+    name: "Ball Hog",
+    description: "Sink 500 balls",
+    unlocked: (stats) => stats.ballsSunk >= 500,
+  },
+  bigGame: {
+    name: "Big Game",
+    description: "Sink 50 large balls",
+    unlocked: (stats) => stats.bigBallsSunk >= 50,
+  },
+  feedingFrenzy: {
+    name: "Feeding Frenzy",
+    description: "Sink 10 balls into the same hole in one level",
+    unlocked: (stats) => stats.mostBallsInOneHole >= 10,
+  },
+  warmingUp: {
+    name: "Warming Up",
+    description: "Reach level 5",
+    unlocked: (stats) => stats.highestLevel >= 5,
+  },
+  deepSpace: {
+    name: "Deep Space",
+    description: "Reach level 20",
+    unlocked: (stats) => stats.highestLevel >= 20,
+  },
+  splat: {
+    name: "Splat",
+    description: "Lose 25 rockets to deadly walls",
+    unlocked: (stats) => stats.deaths.wall >= 25,
+  },
+  eventHorizon: {
+    name: "Event Horizon",
+    description: "Get a rocket swallowed by a hole",
+    unlocked: (stats) => stats.deaths.hole >= 1,
+  },
+  crashTest: {
+    name: "Crash Test",
+    description: "Lose a rocket to a hard impact",
+    unlocked: (stats) => stats.deaths.impact >= 1,
+  },
+  heavyweight: {
+    name: "Heavyweight",
+    description: "Grow a rocket to twice its starting mass",
+    unlocked: (stats) => stats.largestRocketMass >= GAME_CONSTANTS.ROCKETM * 2,
+  },
+  secondWind: {
+    name: "Second Wind",
+    description: "Earn 10 extra lives",
+    unlocked: (stats) => stats.extraLives >= 10,
+  },
+  veteran: {
+    name: "Veteran",
+    description: "Finish 25 games",
+    unlocked: (stats) => stats.gamesPlayed >= 25,
+  },
+};
+
+export function createEmptyStats() {
+  return {
+    gamesPlayed: 0,
+    levelsCompleted: 0,
+    highestLevel: 0,
+    totalScore: 0,
+    ballsSunk: 0,
+    bigBallsSunk: 0,
+    holesFed: 0, // Holes that swallowed at least one ball
+    mostBallsInOneHole: 0, // Within a single level
+    deaths: { wall: 0, hole: 0, impact: 0 },
+    extraLives: 0,
+    massGained: 0, // Mass rockets took from other objects
+    largestRocketMass: GAME_CONSTANTS.ROCKETM,
+  };
+}
+
+export class PlayerStats extends EventEmitter {
+  constructor(storage = globalThis.localStorage, key = DEFAULT_KEY) {
+    super();
+    this.storage = storage;
+    this.key = key;
+    this.active = true; // Off while replaying or testing editor levels
+    this.holeFeeds = new Map(); // Balls sunk per hole this level
+
+    const saved = this.load();
+    this.stats = saved.stats;
+    this.achievements = saved.achievements; // id -> ISO date unlocked
+  }
+
+  // Saved stats over the defaults, so older saves pick up new counters;
+  // a missing or unreadable save starts from scratch
+  load() {
+    const stats = createEmptyStats();
+    try {
+      const data = JSON.parse(this.storage.getItem(this.key));
+      if (data && data.version === STATS_VERSION) {
+        return {
+          stats: {
+            ...stats,
+            ...data.stats,
+            deaths: { ...stats.deaths, ...data.stats.deaths },
+          },
+          achievements: data.achievements || {},
+        };
+      }
+    } catch (error) {
+      console.error("Ignoring unreadable player stats:", error);
+    }
+    return { stats, achievements: {} };
+  }
+
+  save() {
+    try {
+      this.storage.setItem(
+        this.key,
+        JSON.stringify({
+          version: STATS_VERSION,
+          stats: this.stats,
+          achievements: this.achievements,
+        }),
+      );
+    } catch (error) {
+      console.error("Failed to save player stats:", error);
+    }
+  }
+
+  reset() {
+    this.stats = createEmptyStats();
+    this.achievements = {};
+    this.save();
+  }
+
+  // Start counting the games `source` plays. `getPlayerId` gives the
+  // player slot of the person playing (-1 if nobody is); only that
+  // rocket's deaths and mass count.
+  track(source, getPlayerId = () => 0) {
+    const isPlayer = (rocket) => rocket.playerId === getPlayerId();
+    const on = (event, handler) => {
+      source.on(event, (data) => {
+        if (this.active) handler(data);
+      });
+    };
+
+    on("gameStarted", () => {
+      this.holeFeeds.clear();
+    });
+
+    on("ballInHole", ({ ball, hole }) => {
+      const fed = (this.holeFeeds.get(hole) || 0) + 1;
+      this.holeFeeds.set(hole, fed);
+      this.update((stats) => {
+        if (fed === 1) stats.holesFed++;
+        stats.ballsSunk++;
+        if (ball.type === GAME_CONSTANTS.BALL_LARGE) stats.bigBallsSunk++;
+        stats.mostBallsInOneHole = Math.max(stats.mostBallsInOneHole, fed);
+      });
+    });
+
+    on("rocketDestroyed", ({ rocket, cause }) => {
+      if (!isPlayer(rocket)) return;
+      this.update((stats) => {
+        stats.deaths[cause] = (stats.deaths[cause] || 0) + 1;
+      });
+    });
+
+    on("massTransfer", ({ to, amount }) => {
+      if (to.type !== GAME_CONSTANTS.ROCKET || !isPlayer(to)) return;
+      this.update((stats) => {
+        stats.massGained += amount;
+        stats.largestRocketMass = Math.max(stats.largestRocketMass, to.mass);
+      });
+    });
+
+    on("extraLife", () => {
+      this.update((stats) => {
+        stats.extraLives++;
+      });
+    });
+
+    // A level counts as reached once the one before it is beaten, so
+    // starting from a level code doesn't count
+    on("levelComplete", ({ level, score }) => {
+      this.update((stats) => {
+        stats.levelsCompleted++;
+        stats.highestLevel = Math.max(stats.highestLevel, level + 1);
+        stats.totalScore += score;
+      });
+      this.save();
+    });
+
+    on("gameOver", ({ score }) => {
+      this.update((stats) => {
+        stats.gamesPlayed++;
+        stats.totalScore += score;
+      });
+      this.save();
+    });
+  }
+
+  // Apply a change to the totals and unlock whatever it earned
+  update(change) {
+    change(this.stats);
+
+    const unlocked = Object.keys(ACHIEVEMENTS).filter(
+      (id) => !this.achievements[id] && ACHIEVEMENTS[id].unlocked(this.stats),
+    );
+    if (unlocked.length === 0) return;
+
+    const date = new Date().toISOString();
+    unlocked.forEach((id) => {
+      this.achievements[id] = date;
+    });
+    this.save();
+    unlocked.forEach((id) => {
+      const { name, description } = ACHIEVEMENTS[id];
+      this.emit("achievementUnlocked", { id, name, description, date });
+    });
+  }
+
+  isUnlocked(id) {
+    return Boolean(this.achievements[id]);
+  }
+}
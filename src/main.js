@@ -8,10 +8,24 @@
 
 import * as PIXI from "pixi.js";
 import { GameEngine } from "./game/GameEngine.js";
+import { WALL_MODES } from "./game/LevelLoader.js";
+import { DEFAULT_DIFFICULTY, describeDifficulty } from "./game/Difficulty.js";
+import { Replay } from "./game/Replay.js";
+import { PlayerStats } from "./game/Stats.js";
 import { MenuSystem } from "./ui/MenuSystem.js";
+import { LevelEditor } from "./ui/LevelEditor.js";
+import { GameSetupMenu } from "./ui/GameSetupMenu.js";
+import { ReplayControls } from "./ui/ReplayControls.js";
+import { HighScoreScreen } from "./ui/HighScoreScreen.js";
+import { AchievementScreen } from "./ui/AchievementScreen.js";
+import { NetLobby } from "./ui/NetLobby.js";
+import { LockstepInput } from "./net/Lockstep.js";
 import { InputManager } from "./input/InputManager.js";
 import { AudioManager } from "./audio/AudioManager.js";
 
+// localStorage key of the game saved for "Continue"
+const SAVE_KEY = "koulesII.savedGame";
+
 class KoulesGame {
   constructor() {
     this.app = null;
@@ -19,10 +33,37 @@ class KoulesGame {
     this.menuSystem = null;
     this.inputManager = null;
     this.audioManager = null;
-    this.gameState = "loading"; // loading, menu, playing, paused
+    this.levelEditor = null;
+    this.gameSetupMenu = null;
+    this.replayControls = null;
+    this.highScoreScreen = null;
+    this.stats = null; // Lifetime stats and achievements
+    this.achievementScreen = null;
+    this.netLobby = null;
+    // Online game in progress: { client, lockstep, config, names }, else null
+    this.net = null;
+    this.gameState = "loading"; // loading, menu, playing, paused, editing, replay
+    this.testingLevel = false; // Playing a level straight from the editor
     this.currentLevel = 1;
     this.playerCount = 1;
     this.gameMode = "cooperative"; // cooperative, deathmatch
+    this.seed = null; // Current game seed, kept across levels
+    this.difficulty = DEFAULT_DIFFICULTY; // Last preset picked in game setup
+    this.mutators = [];
+    this.pilots = []; // Bot level per player slot, null for humans
+    // Totals of the levels already cleared in this run; every level is a
+    // fresh simulation game, so the high-score entry adds them up
+    this.run = { score: 0, ticks: 0 };
+
+    // A shared level code can be passed as ?code=<level>-<seed>, a
+    // hand-made level from public/levels/ as ?level=<name> and the wall mode for
+    // generated levels as ?walls=deadly|bouncy|wrap
+    const params = new URLSearchParams(window.location.search);
+    this.levelCode = params.get("code");
+    this.levelName = params.get("level");
+    this.walls = WALL_MODES.includes(params.get("walls"))
+      ? params.get("walls")
+      : "deadly";
 
     // Game dimensions - calculate 80% of screen size
     this.calculateGameDimensions();
@@ -87,6 +128,16 @@ class KoulesGame {
         this.inputManager,
         this.audioManager,
       );
+      this.levelEditor = new LevelEditor(this);
+      this.gameSetupMenu = new GameSetupMenu(this);
+      this.replayControls = new ReplayControls(this);
+      this.highScoreScreen = new HighScoreScreen(this);
+      this.stats = new PlayerStats();
+      this.stats.track(this.gameEngine, () =>
+        this.gameEngine.getLocalPlayerId(),
+      );
+      this.achievementScreen = new AchievementScreen(this, this.stats);
+      this.netLobby = new NetLobby(this);
 
       // Setup event listeners
       this.setupEventListeners();
@@ -105,12 +156,53 @@ class KoulesGame {
 
   setupEventListeners() {
     // Menu button events
+    // Game modes go through the setup menu to pick difficulty and mutators
     document.getElementById("start-single").addEventListener("click", () => {
-      this.startGame(1);
+      this.showGameSetup(1);
     });
 
     document.getElementById("start-multi").addEventListener("click", () => {
-      this.startGame(2); // Default to 2 players, can be expanded
+      // Default to 2 players, can be expanded
+      this.showGameSetup(2, { gameMode: "cooperative" });
+    });
+
+    document
+      .getElementById("start-deathmatch")
+      .addEventListener("click", () => {
+        this.showGameSetup(2, { gameMode: "deathmatch" });
+      });
+
+    document.getElementById("play-online").addEventListener("click", () => {
+      this.showNetLobby();
+    });
+
+    document.getElementById("show-editor").addEventListener("click", () => {
+      this.showLevelEditor();
+    });
+
+    document.getElementById("continue-game").addEventListener("click", () => {
+      this.continueGame();
+    });
+
+    document
+      .getElementById("show-high-scores")
+      .addEventListener("click", () => {
+        this.showHighScores();
+      });
+
+    document
+      .getElementById("show-achievements")
+      .addEventListener("click", () => {
+        this.showAchievements();
+      });
+
+    document.getElementById("watch-replay").addEventListener("click", () => {
+      this.replayControls.importReplay();
+    });
+
+    // Saves the game in progress (from the pause menu) or the last one played
+    document.getElementById("save-replay").addEventListener("click", () => {
+      this.replayControls.exportReplay();
     });
 
     document.getElementById("show-controls").addEventListener("click", () => {
@@ -121,6 +213,17 @@ class KoulesGame {
       this.showMainMenu();
     });
 
+    // Keep the game when the tab is closed, reloaded or sent to background
+    window.addEventListener("pagehide", () => {
+      this.saveGame();
+      this.stats.save();
+    });
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState !== "hidden") return;
+      this.saveGame();
+      this.stats.save();
+    });
+
     // Window resize handler
     window.addEventListener("resize", () => {
       this.handleResize();
@@ -131,7 +234,8 @@ class KoulesGame {
       if (event.key === "Escape") {
         this.handleEscapeKey();
       } else if (event.key === "r" || event.key === "R") {
-        if (this.gameState === "playing") {
+        // Online games can't be restarted by one player
+        if (this.gameState === "playing" && !this.net) {
           this.restartLevel();
         }
       }
@@ -150,16 +254,45 @@ class KoulesGame {
       this.updateScore(data);
     });
 
+    this.gameEngine.on("roundComplete", (data) => {
+      this.handleRoundComplete(data);
+    });
+
     this.gameEngine.on("extraLife", (data) => {
       this.handleExtraLife(data);
     });
+
+    this.gameEngine.on("gameStarted", (data) => {
+      // A replay's game doesn't change where the player's own games resume
+      if (this.gameState !== "replay") {
+        this.seed = data.seed;
+        this.currentLevel = data.level;
+      }
+      this.updateSeedDisplay(data.levelCode);
+      this.updateModifierDisplay(data.modifiers);
+    });
   }
 
   showMainMenu() {
     this.gameState = "menu";
+    this.testingLevel = false;
+    this.endNetGame();
+    if (this.netLobby) {
+      this.netLobby.leave();
+      this.netLobby.hide();
+    }
+    if (this.levelEditor) this.levelEditor.hide();
+    if (this.gameSetupMenu) this.gameSetupMenu.hide();
+    if (this.replayControls) this.replayControls.hide();
+    if (this.highScoreScreen) this.highScoreScreen.hide();
+    if (this.achievementScreen) this.achievementScreen.hide();
+    if (this.gameEngine) this.gameEngine.endReplay();
     document.getElementById("main-menu").classList.remove("hidden");
     document.getElementById("controls-menu").classList.add("hidden");
     document.getElementById("ui-overlay").classList.add("hidden");
+    document
+      .getElementById("continue-game")
+      .classList.toggle("hidden", !localStorage.getItem(SAVE_KEY));
     document.getElementById("controls-info").classList.add("hidden");
 
     if (this.gameEngine) {
@@ -167,13 +300,174 @@ class KoulesGame {
     }
   }
 
+  showLevelEditor() {
+    this.gameState = "editing";
+    this.testingLevel = false;
+    this.gameEngine.stop();
+
+    document.getElementById("main-menu").classList.add("hidden");
+    document.getElementById("controls-menu").classList.add("hidden");
+    document.getElementById("ui-overlay").classList.add("hidden");
+    document.getElementById("controls-info").classList.add("hidden");
+
+    this.levelEditor.show();
+  }
+
+  showHighScores() {
+    document.getElementById("main-menu").classList.add("hidden");
+    document.getElementById("controls-menu").classList.add("hidden");
+
+    this.highScoreScreen.show({
+      playerCount: this.playerCount,
+      gameMode: this.gameMode,
+      difficulty: this.difficulty,
+    });
+  }
+
+  showAchievements() {
+    document.getElementById("main-menu").classList.add("hidden");
+    document.getElementById("controls-menu").classList.add("hidden");
+
+    this.achievementScreen.show();
+  }
+
+  showNetLobby() {
+    document.getElementById("main-menu").classList.add("hidden");
+    document.getElementById("controls-menu").classList.add("hidden");
+
+    this.netLobby.show();
+  }
+
+  // Online game started by the room's host (see NetLobby). Every player
+  // runs the same game from the host's config, fed everyone's controls in
+  // lockstep; levels then advance as usual.
+  startNetGame(client, { game, config, slots }) {
+    const lockstep = new LockstepInput(
+      this.gameEngine.simulation,
+      this.inputManager,
+      {
+        game,
+        playerId: slots.indexOf(client.id),
+        playerCount: slots.length,
+        send: (message) => client.send(message),
+      },
+    );
+    if (client.latency !== null) lockstep.setLatency(client.latency);
+    this.net = {
+      client,
+      lockstep,
+      config,
+      names: this.netLobby.getPlayerNames(slots),
+    };
+
+    // Nothing local may change what the others simulate
+    this.currentLevel = config.level;
+    this.levelCode = null;
+    this.levelName = null;
+    this.gameEngine.startNetGame(lockstep);
+    this.startGame(config.playerCount, {
+      gameMode: config.gameMode,
+      seed: config.seed,
+      difficulty: config.difficulty,
+      mutators: config.mutators,
+      pilots: [],
+    });
+  }
+
+  // Route a relay connection's game messages to the online game it is
+  // running, if any; called once per connection
+  bindNetClient(client) {
+    const lockstep = () =>
+      this.net && this.net.client === client ? this.net.lockstep : null;
+
+    client.on("input", ({ game, player, frame, masks, simFrame }) => {
+      if (lockstep()) {
+        lockstep().receive(game, player, frame, masks, simFrame);
+      }
+    });
+    client.on("left", ({ player }) => {
+      if (lockstep()) lockstep().playerLeft(player);
+    });
+    client.on("latency", (latency) => {
+      if (lockstep()) lockstep().setLatency(latency);
+    });
+    client.on("desync", ({ frame }) => {
+      if (lockstep()) this.handleDesync(frame);
+    });
+  }
+
+  // Back to offline input; the room itself stays open
+  endNetGame() {
+    if (!this.net) return;
+
+    this.net = null;
+    this.gameEngine.endNetGame();
+  }
+
+  // Stop an online game that can't go on and go back to the lobby, where
+  // the host can start a fresh one
+  abandonNetGame(message) {
+    if (this.net) {
+      this.endNetGame();
+      this.gameEngine.stop();
+    }
+    this.gameState = "menu";
+    document.getElementById("ui-overlay").classList.add("hidden");
+    document.getElementById("controls-info").classList.add("hidden");
+    alert(message);
+    this.netLobby.show();
+  }
+
+  handleDesync(frame) {
+    console.error(`Online game desynchronised at frame ${frame}`);
+    this.abandonNetGame("The players' games went out of sync.");
+  }
+
+  handleNetDisconnect() {
+    this.abandonNetGame("Lost the connection to the relay.");
+  }
+
+  // Watch a recorded game; throws ReplayFormatError for bad data
+  startReplay(data) {
+    const replay = Replay.parse(data);
+    this.gameState = "replay";
+    this.stats.active = false; // Watching doesn't count towards stats
+    this.gameEngine.startReplay(replay);
+    this.testingLevel = false;
+    if (this.levelEditor) this.levelEditor.hide();
+    if (this.gameSetupMenu) this.gameSetupMenu.hide();
+
+    document.getElementById("main-menu").classList.add("hidden");
+    document.getElementById("controls-menu").classList.add("hidden");
+    document.getElementById("ui-overlay").classList.remove("hidden");
+    document.getElementById("controls-info").classList.add("hidden");
+
+    this.replayControls.show();
+  }
+
+  showGameSetup(playerCount, options = {}) {
+    document.getElementById("main-menu").classList.add("hidden");
+    document.getElementById("controls-menu").classList.add("hidden");
+
+    this.gameSetupMenu.show(playerCount, options);
+  }
+
   showControlsMenu() {
     document.getElementById("main-menu").classList.add("hidden");
     document.getElementById("controls-menu").classList.remove("hidden");
   }
 
-  async startGame(playerCount) {
+  async startGame(playerCount, options = {}) {
     this.playerCount = playerCount;
+    if (options.gameMode) this.gameMode = options.gameMode;
+    if (options.difficulty) this.difficulty = options.difficulty;
+    if (options.mutators) this.mutators = options.mutators;
+    if (options.pilots) this.pilots = options.pilots;
+    if (!options.continueRun) this.run = { score: 0, ticks: 0 };
+    this.testingLevel = Boolean(options.testingLevel);
+    this.stats.active = !this.testingLevel;
+    if (this.levelEditor) this.levelEditor.hide();
+    if (this.gameSetupMenu) this.gameSetupMenu.hide();
     this.gameState = "playing";
 
     // Hide menus
@@ -185,11 +479,44 @@ class KoulesGame {
     document.getElementById("controls-info").classList.remove("hidden");
 
     // Initialize game
-    await this.gameEngine.startGame({
+    const config = {
       playerCount: this.playerCount,
       level: this.currentLevel,
       gameMode: this.gameMode,
-    });
+      seed: options.seed,
+      levelCode: options.levelCode || this.levelCode,
+      walls: this.walls,
+      difficulty: this.difficulty,
+      mutators: this.mutators,
+      pilots: this.pilots,
+    };
+    // Online games play the host's walls and arena size
+    if (this.net) {
+      const { walls, width, height } = this.net.config;
+      Object.assign(config, { walls, width, height });
+    }
+    if (options.levelData) {
+      await this.gameEngine.loadLevel(options.levelData, config);
+    } else if (this.levelName) {
+      try {
+        await this.gameEngine.loadLevelFromUrl(
+          `levels/${encodeURIComponent(this.levelName)}.json`,
+          config,
+        );
+      } catch (error) {
+        console.error("Failed to load level:", error);
+        alert(`Could not load level "${this.levelName}": ${error.message}`);
+        this.levelName = null;
+        this.showMainMenu();
+        return;
+      }
+    } else {
+      await this.gameEngine.startGame(config);
+    }
+
+    // The shared code and level only apply to the first game started
+    this.levelCode = null;
+    this.levelName = null;
 
     // Update UI
     this.updateUI();
@@ -198,11 +525,22 @@ class KoulesGame {
   handleEscapeKey() {
     switch (this.gameState) {
       case "playing":
-        this.pauseGame();
+        // Test runs go straight back to the editor; online games can't be
+        // paused, only left
+        if (this.testingLevel) {
+          this.showLevelEditor();
+        } else if (this.net) {
+          if (confirm("Leave the online game?")) this.showMainMenu();
+        } else {
+          this.pauseGame();
+        }
         break;
       case "paused":
         this.resumeGame();
         break;
+      case "replay":
+        this.showMainMenu();
+        break;
       case "menu":
         // Already in menu
         break;
@@ -213,10 +551,79 @@ class KoulesGame {
     if (this.gameState === "playing") {
       this.gameState = "paused";
       this.gameEngine.pause();
+      this.saveGame();
       this.showMainMenu();
     }
   }
 
+  // Store the game in progress for "Continue". Test runs from the editor,
+  // online games and replays are never saved.
+  saveGame() {
+    const state = this.gameEngine && this.gameEngine.gameState;
+    if (
+      (this.gameState !== "playing" && this.gameState !== "paused") ||
+      this.testingLevel ||
+      this.net ||
+      (state !== "running" && state !== "paused")
+    ) {
+      return;
+    }
+
+    try {
+      localStorage.setItem(
+        SAVE_KEY,
+        JSON.stringify({ ...this.gameEngine.getSnapshot(), run: this.run }),
+      );
+    } catch (error) {
+      console.error("Failed to save game:", error);
+    }
+  }
+
+  clearSavedGame() {
+    localStorage.removeItem(SAVE_KEY);
+  }
+
+  // Resume the saved game exactly where it was left
+  continueGame() {
+    const saved = localStorage.getItem(SAVE_KEY);
+    if (!saved) return;
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(saved);
+      this.gameEngine.restoreSnapshot(snapshot);
+    } catch (error) {
+      console.error("Failed to load saved game:", error);
+      alert(`Could not continue the saved game: ${error.message}`);
+      this.clearSavedGame();
+      this.showMainMenu();
+      return;
+    }
+
+    const sim = this.gameEngine.simulation;
+    this.playerCount = sim.playerCount;
+    this.gameMode = sim.gameMode;
+    this.currentLevel = sim.level;
+    this.seed = sim.seed;
+    this.difficulty = sim.difficulty;
+    this.mutators = [...sim.mutators];
+    this.pilots = this.gameEngine.pilotInput.getPilots();
+    this.run = snapshot.run || { score: 0, ticks: 0 };
+    this.testingLevel = false;
+    this.stats.active = true;
+    this.gameState = "playing";
+
+    document.getElementById("main-menu").classList.add("hidden");
+    document.getElementById("controls-menu").classList.add("hidden");
+    document.getElementById("ui-overlay").classList.remove("hidden");
+    document.getElementById("controls-info").classList.remove("hidden");
+
+    this.gameEngine.resume();
+    this.updateSeedDisplay(this.gameEngine.getLevelCode());
+    this.updateModifierDisplay(sim.getModifiers());
+    this.updateUI();
+  }
+
   resumeGame() {
     if (this.gameState === "paused") {
       this.gameState = "playing";
@@ -237,29 +644,99 @@ class KoulesGame {
   }
 
   handleGameOver(data) {
+    // Replays just stop at the end
+    if (this.gameState === "replay") return;
+
     console.log("Game Over:", data);
     this.gameState = "menu";
 
-    // Show game over message
+    // Test runs from the editor just report and go back to it
+    if (this.testingLevel) {
+      setTimeout(() => {
+        alert(`Game Over! Score: ${data.score}`);
+        this.showLevelEditor();
+      }, 1000);
+      return;
+    }
+
+    // Deathmatch ranks the winner; otherwise the whole run counts
+    const sim = this.gameEngine.simulation;
+    const winner =
+      data.winnerId !== undefined ? data.players[data.winnerId] : null;
+    const score = winner ? winner.score : this.run.score + data.score;
+    const { difficulty, mutators } = data.modifiers;
+    const label = describeDifficulty(difficulty, mutators);
+    const message = winner
+      ? `Player ${winner.playerId + 1} wins the match with ${score} points! (${label})`
+      : `Final Score: ${score}, reached level ${data.level} (${label})`;
+
+    // Online games go back to the lobby for a rematch and stay off the
+    // local high score boards
+    if (this.net) {
+      this.endNetGame();
+      setTimeout(() => {
+        if (this.net) return; // The host already started the next one
+        document.getElementById("ui-overlay").classList.add("hidden");
+        document.getElementById("controls-info").classList.add("hidden");
+        alert(message);
+        this.netLobby.show();
+      }, 1000);
+      return;
+    }
+    this.clearSavedGame();
+
+    const category = {
+      playerCount: sim.playerCount,
+      gameMode: sim.gameMode,
+      difficulty,
+    };
+    const entry = {
+      score,
+      level: data.level,
+      date: new Date().toISOString(),
+      duration: Math.round((this.run.ticks + sim.tick) * sim.FIXED_TIMESTEP),
+      mutators,
+    };
+
     setTimeout(() => {
-      alert(`Game Over! Final Score: ${data.score}`);
-      this.showMainMenu();
+      document.getElementById("ui-overlay").classList.add("hidden");
+      document.getElementById("controls-info").classList.add("hidden");
+      this.highScoreScreen.showGameOver(message, category, entry);
     }, 1000);
   }
 
   handleLevelComplete(data) {
+    if (this.gameState === "replay") return;
+
     console.log("Level Complete:", data);
-    this.currentLevel++;
+    if (!this.testingLevel) {
+      this.currentLevel++;
+      this.run.score += data.score;
+      this.run.ticks += this.gameEngine.simulation.tick;
+      // The next level starts fresh; an older save would go back in time
+      if (!this.net) this.clearSavedGame();
+    }
+    const net = this.net;
 
     // Show level complete message
     setTimeout(() => {
       alert(
-        `Level ${data.level} Complete! Score: ${data.score} (+100 Level Bonus)`,
+        `Level ${data.level} Complete! Score: ${data.score} (+${data.levelBonus} Level Bonus)`,
       );
-      this.startGame(this.playerCount);
+      if (this.testingLevel) {
+        this.showLevelEditor();
+        return;
+      }
+      if (net !== this.net) return; // Left the online game meanwhile
+      this.startGame(this.playerCount, { seed: this.seed, continueRun: true });
     }, 1000);
   }
 
+  handleRoundComplete(data) {
+    console.log("Round Complete:", data);
+    this.updateScoreboard(data.players);
+  }
+
   updateScore(data) {
     const scoreElement = document.getElementById("score");
     const levelElement = document.getElementById("level");
@@ -268,17 +745,91 @@ class KoulesGame {
     if (scoreElement) scoreElement.textContent = `Score: ${data.score}`;
     if (levelElement) levelElement.textContent = `Level: ${data.level}`;
     if (livesElement) livesElement.textContent = `Lives: ${data.lives}`;
+
+    if (data.gameMode === "deathmatch" && levelElement) {
+      levelElement.textContent = `Round: ${data.round}`;
+    }
+    if (data.players && data.players.length > 1) {
+      this.updateScoreboard(data.players);
+    }
+  }
+
+  // Per-player HUD: score and lives, plus kills and round wins in deathmatch
+  updateScoreboard(players) {
+    let playersInfo = document.getElementById("players-info");
+    if (!playersInfo) {
+      const overlay = document.getElementById("ui-overlay");
+      if (!overlay) return;
+
+      playersInfo = document.createElement("div");
+      playersInfo.id = "players-info";
+      overlay.appendChild(playersInfo);
+    }
+
+    const deathmatch = this.gameMode === "deathmatch";
+    const engine = this.gameEngine;
+    playersInfo.innerHTML = players
+      .map((player) => {
+        const bot =
+          !engine.isReplaying && engine.pilotInput.isBot(player.playerId);
+        const name = this.net && this.net.names[player.playerId];
+        let html = `<div>Player ${player.playerId + 1}${
+          bot ? " (Bot)" : ""
+        }${name ? ` (${name})` : ""}: ${player.score} | ${
+          player.eliminated ? "Out" : `Lives ${player.lives}`
+        }`;
+        if (deathmatch) {
+          html += ` | Kills ${player.kills} | Wins ${player.roundWins}`;
+        }
+        return `${html}</div>`;
+      })
+      .join("");
+  }
+
+  updateSeedDisplay(levelCode) {
+    let seedElement = document.getElementById("seed");
+    if (!seedElement) {
+      const overlay = document.getElementById("ui-overlay");
+      if (!overlay) return;
+
+      seedElement = document.createElement("div");
+      seedElement.id = "seed";
+      overlay.appendChild(seedElement);
+    }
+
+    seedElement.textContent = `Seed: ${levelCode}`;
+  }
+
+  // Active difficulty preset and mutators
+  updateModifierDisplay(modifiers) {
+    let modifierElement = document.getElementById("modifiers");
+    if (!modifierElement) {
+      const overlay = document.getElementById("ui-overlay");
+      if (!overlay) return;
+
+      modifierElement = document.createElement("div");
+      modifierElement.id = "modifiers";
+      overlay.appendChild(modifierElement);
+    }
+
+    modifierElement.textContent = describeDifficulty(
+      modifiers.difficulty,
+      modifiers.mutators,
+    );
   }
 
   handleExtraLife(data) {
-    // Update UI immediately
-    this.updateScore(data);
+    // Update UI immediately; a player's own life comes with their own score,
+    // so the team HUD waits for the next score update
+    if (data.playerId === undefined) {
+      this.updateScore(data);
+    }
 
     // Show extra life notification in UI
-    this.showExtraLifeNotification(data.lives, data.nextLifeAt);
+    this.showExtraLifeNotification(data.lives, data.nextLifeAt, data.playerId);
   }
 
-  showExtraLifeNotification(lives, nextLifeAt) {
+  showExtraLifeNotification(lives, nextLifeAt, playerId) {
     // Create notification element if it doesn't exist
     let notification = document.getElementById("extra-life-notification");
     if (!notification) {
@@ -306,9 +857,11 @@ class KoulesGame {
     }
 
     // Update notification content
+    const who =
+      playerId === undefined ? "You now have" : `Player ${playerId + 1} has`;
     notification.innerHTML = `
       🎉 EXTRA LIFE! 🎉<br>
-      You now have ${lives} lives<br>
+      ${who} ${lives} lives<br>
       Next life at ${nextLifeAt} points
     `;
 
@@ -332,13 +885,8 @@ class KoulesGame {
 
   updateUI() {
     // Update players info
-    const playersInfo = document.getElementById("players-info");
-    if (playersInfo) {
-      let html = "";
-      for (let i = 0; i < this.playerCount; i++) {
-        html += `<div>Player ${i + 1}: Ready</div>`;
-      }
-      playersInfo.innerHTML = html;
+    if (this.playerCount > 1) {
+      this.updateScoreboard(this.gameEngine.players);
     }
   }
 
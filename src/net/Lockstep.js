@@ -0,0 +1,150 @@
+/**
+ * Lockstep.js - Input-synchronised lockstep for online games
+ *
+ * Every player runs the same deterministic Simulation from the same start
+ * config, so only controls travel over the network. LockstepInput is the
+ * simulation's input source in an online game: the local player's controls
+ * are sent for a frame a little ahead (the input delay), and a step may
+ * only run once every player's controls for it have arrived.
+ *
+ * Latency is hidden rather than fought: the input delay follows the
+ * measured round trip, so a fast link feels instant and a slow one stays
+ * smooth instead of stalling every frame, and a player who falls behind
+ * the others takes a few extra steps to catch up. Every HASH_INTERVAL
+ * frames the state hash goes to the relay, which reports a desync if the
+ * players disagree.
+ *
+ * Frames count steps since the online game started, across levels, so
+ * they stay in line however long each player lingers between levels.
+ * Messages carry the relay's number for the game, so controls still on
+ * their way from a game that has since been restarted are ignored.
+ */
+
+import { packControls, unpackControls } from "../game/Replay.js";
+
+export const MIN_INPUT_DELAY = 2; // Frames
+export const MAX_INPUT_DELAY = 20;
+export const HASH_INTERVAL = 60; // Frames between desync checks
+
+const FRAME_MS = 1000 / 60;
+const CATCH_UP_THRESHOLD = 2; // Frames behind before speeding up
+const MAX_CATCH_UP_STEPS = 2; // Extra steps per rendered frame
+
+export class LockstepInput {
+  // `send` delivers a message to the other players (through the relay);
+  // incoming ones are passed to receive() and playerLeft(). `game` is the
+  // number the relay gave this game when it started.
+  constructor(simulation, inputSource, { game, playerId, playerCount, send }) {
+    this.simulation = simulation;
+    this.inputSource = inputSource; // Player 1's keys fly our rocket
+    this.game = game;
+    this.playerId = playerId;
+    this.playerCount = playerCount;
+    this.send = send;
+    this.inputDelay = MIN_INPUT_DELAY;
+
+    this.frame = 0; // Next frame to simulate
+    this.nextLocalFrame = 0; // First frame our controls weren't sent for
+    this.inputs = []; // Per player: frame -> packed controls
+    this.remoteFrames = []; // Per player: frame they were on when last heard
+    for (let i = 0; i < playerCount; i++) {
+      this.inputs.push(new Map());
+      this.remoteFrames.push(0);
+    }
+    this.departed = new Set(); // Players who left; idle from then on
+  }
+
+  // Input delay covering a round trip through the relay plus a frame
+  setLatency(latency) {
+    const frames = Math.ceil(latency / FRAME_MS) + 1;
+    this.inputDelay = Math.max(
+      MIN_INPUT_DELAY,
+      Math.min(MAX_INPUT_DELAY, frames),
+    );
+  }
+
+  // Send our controls up to the input delay ahead, then report whether
+  // every player's controls for the next frame are in. A shorter delay
+  // takes effect as the game catches up with the frames already sent.
+  ready() {
+    const last = this.frame + this.inputDelay;
+    if (this.nextLocalFrame <= last) {
+      const mask = packControls(this.inputSource.getPlayerControls(0));
+      const masks = [];
+      for (let frame = this.nextLocalFrame; frame <= last; frame++) {
+        masks.push(mask);
+      }
+      this.receive(
+        this.game,
+        this.playerId,
+        this.nextLocalFrame,
+        masks,
+        this.frame,
+      );
+      this.send({
+        type: "input",
+        game: this.game,
+        frame: this.nextLocalFrame,
+        masks,
+        simFrame: this.frame,
+      });
+      this.nextLocalFrame = last + 1;
+    }
+
+    return this.inputs.every(
+      (frames, playerId) =>
+        frames.has(this.frame) || this.departed.has(playerId),
+    );
+  }
+
+  // Controls for `masks.length` frames from `frame` on, sent by a player
+  // who was simulating `simFrame` at the time. Controls from another game
+  // are dropped.
+  receive(game, playerId, frame, masks, simFrame) {
+    const frames = this.inputs[playerId];
+    if (!frames || game !== this.game) return;
+
+    masks.forEach((mask, i) => frames.set(frame + i, mask));
+    this.remoteFrames[playerId] = simFrame;
+  }
+
+  // A player who left keeps the controls they already sent, so everyone
+  // sees the same thing, then drifts idle
+  playerLeft(playerId) {
+    this.departed.add(playerId);
+  }
+
+  // Call after each simulation step
+  advance() {
+    this.inputs.forEach((frames) => frames.delete(this.frame));
+    this.frame++;
+
+    if (this.frame % HASH_INTERVAL === 0) {
+      this.send({
+        type: "hash",
+        game: this.game,
+        frame: this.frame,
+        hash: this.simulation.getStateHash(),
+      });
+    }
+  }
+
+  // Extra steps to take this frame to catch up with the player furthest
+  // ahead
+  getCatchUpSteps() {
+    let behind = 0;
+    this.remoteFrames.forEach((frame, playerId) => {
+      if (playerId !== this.playerId && !this.departed.has(playerId)) {
+        behind = Math.max(behind, frame - this.frame);
+      }
+    });
+    return behind > CATCH_UP_THRESHOLD
+      ? Math.min(behind - CATCH_UP_THRESHOLD, MAX_CATCH_UP_STEPS)
+      : 0;
+  }
+
+  getPlayerControls(playerId) {
+    const frames = this.inputs[playerId];
+    return unpackControls((frames && frames.get(this.frame)) || 0);
+  }
+}
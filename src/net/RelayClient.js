@@ -0,0 +1,110 @@
+/**
+ * RelayClient.js - Connection to the online play relay
+ *
+ * Thin wrapper over a WebSocket to server/relay.mjs. Outgoing messages are
+ * plain objects sent as JSON; every incoming one is re-emitted as an event
+ * named after its `type` ("room", "start", "input", ...). The client also
+ * emits "close" when the connection drops and "latency" with the smoothed
+ * round-trip time in milliseconds, measured by pinging the relay.
+ *
+ * Renderer-free: Node tests pass the `ws` package's WebSocket class in place
+ * of the browser's.
+ */
+
+import { EventEmitter } from "../game/EventEmitter.js";
+
+export const DEFAULT_RELAY_PORT = 8787;
+
+const PING_INTERVAL = 1000; // Milliseconds between latency probes
+const LATENCY_SMOOTHING = 0.25; // Weight of the newest sample
+
+export class RelayClient extends EventEmitter {
+  constructor(url, WebSocketClass = globalThis.WebSocket) {
+    super();
+    this.url = url;
+    this.id = null; // Given by the relay on joining a room
+    this.room = null;
+    this.latency = null;
+    this.pingTimer = null;
+
+    this.socket = new WebSocketClass(url);
+    this.socket.onopen = () => {
+      this.pingTimer = setInterval(() => this.ping(), PING_INTERVAL);
+      this.ping();
+      this.emit("open");
+    };
+    this.socket.onclose = () => {
+      clearInterval(this.pingTimer);
+      this.emit("close");
+    };
+    this.socket.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  // Resolves with a connected client; rejects if the relay can't be reached
+  static connect(url, WebSocketClass) {
+    return new Promise((resolve, reject) => {
+      const client = new RelayClient(url, WebSocketClass);
+      const fail = () => reject(new Error(`Could not connect to ${url}`));
+      client.once("close", fail);
+      client.once("open", () => {
+        client.off("close", fail);
+        resolve(client);
+      });
+    });
+  }
+
+  get connected() {
+    return this.socket.readyState === this.socket.OPEN;
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.error("Ignoring unreadable relay message:", error);
+      return;
+    }
+
+    if (message.type === "joined") {
+      this.id = message.id;
+      this.room = message.room;
+    } else if (message.type === "pong") {
+      const sample = performance.now() - message.time;
+      this.latency =
+        this.latency === null
+          ? sample
+          : this.latency + (sample - this.latency) * LATENCY_SMOOTHING;
+      this.emit("latency", this.latency);
+      return;
+    }
+    this.emit(message.type, message);
+  }
+
+  send(message) {
+    if (this.connected) this.socket.send(JSON.stringify(message));
+  }
+
+  create(name) {
+    this.send({ type: "create", name });
+  }
+
+  join(room, name) {
+    this.send({ type: "join", room, name });
+  }
+
+  // Host only: every player in the room starts `config`
+  start(config) {
+    this.send({ type: "start", config });
+  }
+
+  ping() {
+    this.send({ type: "ping", time: performance.now() });
+  }
+
+  close() {
+    clearInterval(this.pingTimer);
+    this.send({ type: "leave" });
+    this.socket.close();
+  }
+}
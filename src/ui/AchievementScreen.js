@@ -0,0 +1,145 @@
+/**
+ * AchievementScreen.js - Achievement gallery, lifetime stats and unlock toasts
+ *
+ * The gallery lists every achievement (locked ones greyed out) next to the
+ * lifetime totals kept by PlayerStats (see Stats.js); unlocks during play
+ * pop up as a short toast.
+ */
+
+import { ACHIEVEMENTS } from "../game/Stats.js";
+
+const TOAST_TIME = 3000; // Milliseconds a toast stays up
+
+export class AchievementScreen {
+  constructor(game, stats) {
+    this.game = game;
+    this.stats = stats;
+    this.panel = null;
+    this.toasts = null;
+
+    stats.on("achievementUnlocked", (achievement) => this.toast(achievement));
+  }
+
+  show() {
+    this.createPanel();
+    this.render();
+    this.panel.classList.remove("hidden");
+  }
+
+  hide() {
+    if (this.panel) this.panel.classList.add("hidden");
+  }
+
+  render() {
+    const field = (name) => this.panel.querySelector(`[data-field="${name}"]`);
+    const ids = Object.keys(ACHIEVEMENTS);
+    const unlocked = ids.filter((id) => this.stats.isUnlocked(id));
+
+    field("progress").textContent =
+      `${unlocked.length} / ${ids.length} unlocked`;
+    field("achievements").innerHTML = ids
+      .map((id) => {
+        const { name, description } = ACHIEVEMENTS[id];
+        const date = this.stats.achievements[id];
+        return `
+          <div style="opacity: ${date ? 1 : 0.35}; margin: 4px 0">
+            <strong>${date ? "★" : "☆"} ${name}</strong> - ${description}
+            ${date ? `(${new Date(date).toLocaleDateString()})` : ""}
+          </div>`;
+      })
+      .join("");
+
+    const stats = this.stats.stats;
+    const rows = [
+      ["Games played", stats.gamesPlayed],
+      ["Levels completed", stats.levelsCompleted],
+      ["Highest level", stats.highestLevel],
+      ["Total score", stats.totalScore],
+      ["Balls sunk", stats.ballsSunk],
+      ["Large balls sunk", stats.bigBallsSunk],
+      [
+        "Balls per hole",
+        stats.holesFed ? (stats.ballsSunk / stats.holesFed).toFixed(1) : 0,
+      ],
+      ["Most balls in one hole", stats.mostBallsInOneHole],
+      ["Wall deaths", stats.deaths.wall],
+      ["Hole deaths", stats.deaths.hole],
+      ["Impact deaths", stats.deaths.impact],
+      ["Extra lives earned", stats.extraLives],
+      ["Mass gained", stats.massGained.toFixed(1)],
+      ["Largest rocket mass", stats.largestRocketMass.toFixed(1)],
+    ];
+    field("stats").innerHTML = rows
+      .map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`)
+      .join("");
+  }
+
+  // Brief unlock notice in the corner; several stack up
+  toast({ name, description }) {
+    if (!this.toasts) {
+      this.toasts = document.createElement("div");
+      this.toasts.id = "achievement-toasts";
+      this.toasts.style.cssText = `
+        position: fixed;
+        top: 10px;
+        right: 10px;
+        z-index: 1000;
+        font-family: 'Courier New', monospace;
+      `;
+      document.body.appendChild(this.toasts);
+    }
+
+    const toast = document.createElement("div");
+    toast.style.cssText = `
+      background: rgba(0, 0, 0, 0.85);
+      color: #ffff00;
+      border: 1px solid #ffff00;
+      padding: 8px 12px;
+      margin-bottom: 6px;
+      font-size: 14px;
+      transition: opacity 0.3s ease-in;
+    `;
+    toast.innerHTML = `★ Achievement unlocked: <strong>${name}</strong><br>
+      <small>${description}</small>`;
+    this.toasts.appendChild(toast);
+
+    setTimeout(() => {
+      toast.style.opacity = "0";
+      setTimeout(() => toast.remove(), 300);
+    }, TOAST_TIME);
+  }
+
+  createPanel() {
+    if (this.panel) return;
+
+    const panel = document.createElement("div");
+    panel.id = "achievements";
+    panel.className = "menu hidden";
+    panel.innerHTML = `
+      <h1>ACHIEVEMENTS</h1>
+      <p data-field="progress"></p>
+      <div data-field="achievements" style="text-align: left"></div>
+      <h2>LIFETIME STATS</h2>
+      <table data-field="stats" style="margin: 10px auto"></table>
+      <button data-action="reset">Reset</button>
+      <button data-action="back">Back</button>
+    `;
+    (document.getElementById("game-container") || document.body).appendChild(
+      panel,
+    );
+    this.panel = panel;
+
+    const actions = {
+      reset: () => {
+        if (confirm("Reset all stats and achievements?")) {
+          this.stats.reset();
+          this.render();
+        }
+      },
+      back: () => this.game.showMainMenu(),
+    };
+    panel.querySelectorAll("[data-action]").forEach((button) => {
+      button.addEventListener("click", actions[button.dataset.action]);
+    });
+  }
+}
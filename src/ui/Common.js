@@ -0,0 +1,24 @@
+/**
+ * Common.js - Helpers shared by the menu screens
+ *
+ * The player name is remembered between games so regulars only type it
+ * once, whether for a high score or an online room, and anything a player
+ * typed is escaped before it goes into a panel's HTML.
+ */
+
+// localStorage key of the last name entered
+export const NAME_KEY = "koulesII.playerName";
+
+export function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char],
+  );
+}
@@ -0,0 +1,121 @@
+/**
+ * GameSetupMenu.js - Pre-game difficulty and mutator selection for Koules
+ *
+ * Shown between picking a game mode in the main menu and the game itself;
+ * starts the game with the chosen preset, mutators and players. Every
+ * player slot can be a human, a bot of some level or left empty, so a solo
+ * player can bring bot teammates or rivals.
+ */
+
+import { DIFFICULTY_PRESETS, MUTATORS } from "../game/Difficulty.js";
+import { MAX_PILOTS, PILOT_LEVELS } from "../game/AIPilot.js";
+
+export class GameSetupMenu {
+  constructor(game) {
+    this.game = game;
+    this.panel = null;
+    this.playerCount = 1;
+    this.options = {};
+  }
+
+  // Remember what to start, then let the player pick the ruleset. The last
+  // choice is preselected.
+  show(playerCount, options = {}) {
+    this.playerCount = playerCount;
+    this.options = options;
+    this.createPanel();
+
+    const field = (name) => this.panel.querySelector(`[data-field="${name}"]`);
+    field("difficulty").value = this.game.difficulty;
+    Object.keys(MUTATORS).forEach((id) => {
+      field(id).checked = this.game.mutators.includes(id);
+    });
+
+    // The mode's players are humans unless they were bots last time, and
+    // bots added last time come along again
+    for (let slot = 0; slot < MAX_PILOTS; slot++) {
+      const bot = this.game.pilots[slot];
+      field(`slot${slot}`).value =
+        bot || (slot < playerCount ? "human" : "off");
+    }
+
+    this.panel.classList.remove("hidden");
+  }
+
+  hide() {
+    if (this.panel) this.panel.classList.add("hidden");
+  }
+
+  start() {
+    const field = (name) => this.panel.querySelector(`[data-field="${name}"]`);
+    const difficulty = field("difficulty").value;
+    const mutators = Object.keys(MUTATORS).filter((id) => field(id).checked);
+
+    // Empty slots are skipped, so the players fill the first rockets
+    const pilots = [];
+    for (let slot = 0; slot < MAX_PILOTS; slot++) {
+      const value = field(`slot${slot}`).value;
+      if (value !== "off") pilots.push(value === "human" ? null : value);
+    }
+    if (this.options.gameMode === "deathmatch" && pilots.length < 2) {
+      alert("Deathmatch needs at least two players.");
+      return;
+    }
+
+    this.hide();
+    // Solo games with bot teammates are cooperative
+    this.game.startGame(pilots.length, {
+      gameMode: "cooperative",
+      ...this.options,
+      difficulty,
+      mutators,
+      pilots,
+    });
+  }
+
+  createPanel() {
+    if (this.panel) return;
+
+    const panel = document.createElement("div");
+    panel.id = "game-setup";
+    panel.className = "menu hidden";
+    const presets = Object.keys(DIFFICULTY_PRESETS).map(
+      (id) => `<option value="${id}">${DIFFICULTY_PRESETS[id].name}</option>`,
+    );
+    const mutators = Object.keys(MUTATORS).map(
+      (id) => `<div><label><input type="checkbox" data-field="${id}">
+        ${MUTATORS[id].name}</label></div>`,
+    );
+    const bots = Object.keys(PILOT_LEVELS).map(
+      (id) => `<option value="${id}">Bot (${PILOT_LEVELS[id].name})</option>`,
+    );
+    const slots = [];
+    for (let slot = 0; slot < MAX_PILOTS; slot++) {
+      // Player 1 can't be left out
+      const off = slot > 0 ? '<option value="off">-</option>' : "";
+      slots.push(`<div>Player ${slot + 1} <select data-field="slot${slot}">
+        ${off}<option value="human">Human</option>${bots.join("")}
+        </select></div>`);
+    }
+    panel.innerHTML = `
+      <h1>GAME SETUP</h1>
+      <div>Difficulty <select data-field="difficulty">${presets.join("")}
+      </select></div>
+      ${mutators.join("")}
+      ${slots.join("")}
+      <button data-action="start">Start</button>
+      <button data-action="back">Back</button>
+    `;
+    (document.getElementById("game-container") || document.body).appendChild(
+      panel,
+    );
+    this.panel = panel;
+
+    panel
+      .querySelector('[data-action="start"]')
+      .addEventListener("click", () => this.start());
+    panel
+      .querySelector('[data-action="back"]')
+      .addEventListener("click", () => this.game.showMainMenu());
+  }
+}
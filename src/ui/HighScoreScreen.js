@@ -0,0 +1,213 @@
+/**
+ * HighScoreScreen.js - High score table and game-over name entry
+ *
+ * Lists one leaderboard at a time (player count, mode and difficulty) with
+ * import/export of the whole table, and asks for a name when a finished
+ * game makes it onto its board (see HighScores.js).
+ */
+
+import { DIFFICULTY_PRESETS, MUTATORS } from "../game/Difficulty.js";
+import { HIGH_SCORE_NAME_LENGTH, HighScoreTable } from "../game/HighScores.js";
+import { escapeHtml, NAME_KEY } from "./Common.js";
+
+function boardLabel(key) {
+  const category = HighScoreTable.parseBoardKey(key);
+  if (!category) return key;
+
+  const players =
+    category.playerCount === 1 ? "1 Player" : `${category.playerCount} Players`;
+  const mode =
+    category.gameMode === "deathmatch" ? "Deathmatch" : "Cooperative";
+  const preset = DIFFICULTY_PRESETS[category.difficulty];
+  return `${players} - ${mode} - ${preset ? preset.name : category.difficulty}`;
+}
+
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.floor(seconds % 60);
+  return `${minutes}:${String(rest).padStart(2, "0")}`;
+}
+
+export class HighScoreScreen {
+  constructor(game, table = new HighScoreTable()) {
+    this.game = game;
+    this.table = table;
+    this.panel = null;
+    this.pending = null; // Qualifying entry still waiting for a name
+  }
+
+  // Show a board, by default the first one with scores; `highlight` marks
+  // a freshly entered rank
+  show(category = null, highlight = -1) {
+    this.createPanel();
+
+    const keys = this.table.getBoardKeys();
+    const current = category ? HighScoreTable.boardKey(category) : keys[0];
+    if (current && !keys.includes(current)) keys.push(current);
+
+    const select = this.field("board");
+    select.innerHTML = keys
+      .map((key) => `<option value="${key}">${boardLabel(key)}</option>`)
+      .join("");
+    select.value = current || "";
+
+    this.renderBoard(current, highlight);
+    this.setSection("table");
+    this.panel.classList.remove("hidden");
+  }
+
+  hide() {
+    if (this.panel) this.panel.classList.add("hidden");
+  }
+
+  // Game-over screen: name entry when the run qualifies, otherwise just
+  // the result
+  showGameOver(message, category, entry) {
+    this.createPanel();
+    this.field("message").textContent = message;
+
+    const qualifies = this.table.qualifies(category, entry.score);
+    this.field("entry").style.display = qualifies ? "block" : "none";
+    this.field("name").value = localStorage.getItem(NAME_KEY) || "";
+    this.pending = qualifies ? { category, entry } : null;
+
+    this.setSection("gameOver");
+    this.panel.classList.remove("hidden");
+    if (qualifies) this.field("name").focus();
+  }
+
+  saveEntry() {
+    if (!this.pending) return;
+
+    const { category, entry } = this.pending;
+    const name =
+      this.field("name").value.trim().slice(0, HIGH_SCORE_NAME_LENGTH) ||
+      "Anonymous";
+    localStorage.setItem(NAME_KEY, name);
+    this.pending = null;
+
+    const rank = this.table.add(category, { ...entry, name });
+    this.show(category, rank);
+  }
+
+  renderBoard(key, highlight) {
+    const board = key ? this.table.load()[key] || [] : [];
+    const rows = board.map(
+      (entry, rank) => `
+        <tr style="${rank === highlight ? "color: #ffff00" : ""}">
+          <td>${rank + 1}</td>
+          <td>${escapeHtml(entry.name)}</td>
+          <td>${entry.score}</td>
+          <td>${entry.level}</td>
+          <td>${formatDuration(entry.duration)}</td>
+          <td>${new Date(entry.date).toLocaleDateString()}</td>
+          <td>${(entry.mutators || [])
+            .map((id) => (MUTATORS[id] ? MUTATORS[id].name : escapeHtml(id)))
+            .join(", ")}</td>
+        </tr>`,
+    );
+
+    this.field("scores").innerHTML = rows.length
+      ? `<tr><th>#</th><th>Name</th><th>Score</th><th>Level</th>
+          <th>Time</th><th>Date</th><th>Mutators</th></tr>${rows.join("")}`
+      : "<tr><td>No scores yet</td></tr>";
+  }
+
+  exportScores() {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(
+      new Blob([this.table.export()], { type: "application/json" }),
+    );
+    link.download = "koules-high-scores.json";
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  importScores(file) {
+    file.text().then((text) => {
+      try {
+        const added = this.table.import(text);
+        alert(`Imported ${added} new score${added === 1 ? "" : "s"}.`);
+        this.show();
+      } catch (error) {
+        alert(`Could not import high scores: ${error.message}`);
+      }
+    });
+  }
+
+  field(name) {
+    return this.panel.querySelector(`[data-field="${name}"]`);
+  }
+
+  // Either the score table or the game-over result
+  setSection(name) {
+    this.panel.querySelectorAll("[data-section]").forEach((section) => {
+      section.style.display = section.dataset.section === name ? "" : "none";
+    });
+  }
+
+  createPanel() {
+    if (this.panel) return;
+
+    const panel = document.createElement("div");
+    panel.id = "high-scores";
+    panel.className = "menu hidden";
+    panel.innerHTML = `
+      <div data-section="gameOver">
+        <h1>GAME OVER</h1>
+        <p data-field="message"></p>
+        <div data-field="entry">
+          <p>New high score! Enter your name:</p>
+          <input data-field="name" maxlength="${HIGH_SCORE_NAME_LENGTH}">
+          <button data-action="save">Save</button>
+        </div>
+        <button data-action="scores">High Scores</button>
+        <button data-action="menu">Main Menu</button>
+      </div>
+      <div data-section="table">
+        <h1>HIGH SCORES</h1>
+        <select data-field="board"></select>
+        <table data-field="scores" style="margin: 10px auto"></table>
+        <button data-action="export">Export</button>
+        <button data-action="import">Import</button>
+        <button data-action="menu">Back</button>
+        <input data-field="file" type="file" accept=".json,application/json"
+          style="display: none">
+      </div>
+    `;
+    (document.getElementById("game-container") || document.body).appendChild(
+      panel,
+    );
+    this.panel = panel;
+
+    this.field("board").addEventListener("change", (event) => {
+      this.renderBoard(event.target.value, -1);
+    });
+    this.field("name").addEventListener("keydown", (event) => {
+      event.stopPropagation();
+      if (event.key === "Enter") this.saveEntry();
+    });
+    this.field("file").addEventListener("change", (event) => {
+      if (event.target.files[0]) this.importScores(event.target.files[0]);
+      event.target.value = "";
+    });
+
+    const actions = {
+      save: () => this.saveEntry(),
+      // Skipping the name entry still keeps the score
+      scores: () => {
+        if (this.pending) this.saveEntry();
+        else this.show();
+      },
+      export: () => this.exportScores(),
+      import: () => this.field("file").click(),
+      menu: () => {
+        if (this.pending) this.saveEntry();
+        this.game.showMainMenu();
+      },
+    };
+    panel.querySelectorAll("[data-action]").forEach((button) => {
+      button.addEventListener("click", actions[button.dataset.action]);
+    });
+  }
+}
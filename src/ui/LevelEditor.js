@@ -0,0 +1,549 @@
+/**
+ * LevelEditor.js - In-browser level editor for Koules
+ *
+ * Lays out hand-made levels on the arena using the game's own sprites:
+ * place, drag, delete and configure objects, drag velocity handles, then
+ * test-play the level or import/export it as JSON (see LevelLoader).
+ */
+
+import * as PIXI from "pixi.js";
+import { GAME_CONSTANTS } from "../game/GameConstants.js";
+import {
+  DEFAULT_SCORING,
+  LEVEL_OBJECT_TYPES,
+  LevelLoader,
+  WALL_MODES,
+  WALL_SIDES,
+  WIN_CONDITIONS,
+} from "../game/LevelLoader.js";
+
+// Pixels of handle offset per pixel-per-step of velocity
+const VELOCITY_HANDLE_SCALE = 40;
+const HANDLE_RADIUS = 6;
+
+export class LevelEditor {
+  constructor(game) {
+    this.game = game;
+    this.engine = game.gameEngine;
+    this.app = game.app;
+    this.visible = false;
+
+    this.tool = "ball"; // Level object type name, "rocket" or "select"
+    this.selected = null; // { kind: "object" | "rocket", index }
+    this.drag = null; // { mode: "move" | "velocity", offsetX, offsetY }
+
+    this.level = this.createEmptyLevel();
+
+    this.container = new PIXI.Container();
+    this.container.visible = false;
+    this.container.eventMode = "static";
+    this.container.hitArea = new PIXI.Rectangle(
+      0,
+      0,
+      this.app.screen.width,
+      this.app.screen.height,
+    );
+    this.app.stage.addChild(this.container);
+
+    this.container.on("pointerdown", (event) => this.onPointerDown(event));
+    this.container.on("globalpointermove", (event) =>
+      this.onPointerMove(event),
+    );
+    this.container.on("pointerup", () => this.onPointerUp());
+    this.container.on("pointerupoutside", () => this.onPointerUp());
+
+    document.addEventListener("keydown", (event) => {
+      if (!this.visible || event.target.tagName === "INPUT") return;
+      if (event.key === "Delete" || event.key === "Backspace") {
+        this.deleteSelected();
+      }
+    });
+
+    this.panel = null;
+  }
+
+  createEmptyLevel() {
+    const sim = this.engine.simulation;
+    return {
+      name: "Untitled",
+      arena: {
+        width: sim.width,
+        height: sim.height,
+        walls: LevelLoader.parseWalls("deadly"),
+      },
+      rockets: [{ x: sim.width * 0.125, y: sim.height * 0.5 }],
+      objects: [],
+      win: { type: "clear" },
+      scoring: { ...DEFAULT_SCORING },
+    };
+  }
+
+  show() {
+    this.visible = true;
+    this.engine.gameContainer.visible = false;
+    this.container.visible = true;
+    this.createPanel();
+    this.panel.style.display = "block";
+    this.redraw();
+  }
+
+  hide() {
+    this.visible = false;
+    this.drag = null;
+    this.engine.gameContainer.visible = true;
+    this.container.visible = false;
+    if (this.panel) this.panel.style.display = "none";
+  }
+
+  // JSON-ready copy of the level being edited
+  getLevelData() {
+    return LevelLoader.serialize(this.level);
+  }
+
+  // Replace the edited level, scaling it to the current arena
+  loadLevelData(data) {
+    const level = LevelLoader.parse(data);
+    const sim = this.engine.simulation;
+    const sx = sim.width / level.arena.width;
+    const sy = sim.height / level.arena.height;
+
+    level.rockets.forEach((rocket) => {
+      rocket.x *= sx;
+      rocket.y *= sy;
+    });
+    level.objects.forEach((obj) => {
+      obj.x *= sx;
+      obj.y *= sy;
+    });
+    level.arena.width = sim.width;
+    level.arena.height = sim.height;
+    level.arena.walls = level.arena.walls || LevelLoader.parseWalls();
+
+    this.level = level;
+    this.selected = null;
+    this.updatePanel();
+    this.redraw();
+  }
+
+  testPlay() {
+    const levelData = this.getLevelData();
+    this.hide();
+    this.game.startGame(Math.max(1, this.level.rockets.length), {
+      levelData,
+      testingLevel: true,
+    });
+  }
+
+  exportLevel() {
+    const json = JSON.stringify(this.getLevelData(), null, 2);
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(
+      new Blob([json], { type: "application/json" }),
+    );
+    link.download = `${this.level.name.replace(/[^a-z0-9-_]+/gi, "-")}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  importLevel(file) {
+    file.text().then((text) => {
+      try {
+        this.loadLevelData(text);
+      } catch (error) {
+        alert(`Could not import level: ${error.message}`);
+      }
+    });
+  }
+
+  // Pointer handling
+
+  onPointerDown(event) {
+    const x = Math.round(event.global.x);
+    const y = Math.round(event.global.y);
+
+    if (this.selected && this.isOnVelocityHandle(x, y)) {
+      this.drag = { mode: "velocity" };
+      return;
+    }
+
+    const hit = this.findItemAt(x, y);
+    if (hit && hit.kind === "object" && event.shiftKey) {
+      // Shift-drag pulls the velocity out of an object at rest
+      this.selected = hit;
+      this.drag = { mode: "velocity" };
+    } else if (hit) {
+      const item = this.getItem(hit);
+      this.selected = hit;
+      this.drag = { mode: "move", offsetX: item.x - x, offsetY: item.y - y };
+    } else if (this.tool === "rocket") {
+      if (this.level.rockets.length >= GAME_CONSTANTS.ROCKET_COLORS.length) {
+        return;
+      }
+      this.level.rockets.push({ x, y });
+      this.selected = { kind: "rocket", index: this.level.rockets.length - 1 };
+    } else if (this.tool !== "select") {
+      this.level.objects.push({
+        type: LEVEL_OBJECT_TYPES[this.tool],
+        x,
+        y,
+        vx: 0,
+        vy: 0,
+      });
+      this.selected = { kind: "object", index: this.level.objects.length - 1 };
+    } else {
+      this.selected = null;
+    }
+
+    this.updatePanel();
+    this.redraw();
+  }
+
+  onPointerMove(event) {
+    if (!this.drag || !this.selected) return;
+
+    const { x, y } = event.global;
+    const item = this.getItem(this.selected);
+
+    if (this.drag.mode === "velocity") {
+      item.vx = this.roundVelocity((x - item.x) / VELOCITY_HANDLE_SCALE);
+      item.vy = this.roundVelocity((y - item.y) / VELOCITY_HANDLE_SCALE);
+    } else {
+      item.x = Math.round(
+        Math.max(0, Math.min(this.app.screen.width, x + this.drag.offsetX)),
+      );
+      item.y = Math.round(
+        Math.max(0, Math.min(this.app.screen.height, y + this.drag.offsetY)),
+      );
+    }
+
+    this.updatePanel();
+    this.redraw();
+  }
+
+  onPointerUp() {
+    this.drag = null;
+  }
+
+  roundVelocity(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  getItem({ kind, index }) {
+    return kind === "rocket"
+      ? this.level.rockets[index]
+      : this.level.objects[index];
+  }
+
+  // Topmost item under the point; objects are drawn above rockets
+  findItemAt(x, y) {
+    const sim = this.engine.simulation;
+    const inside = (item, type) =>
+      Math.hypot(item.x - x, item.y - y) <= sim.getRadius(type);
+
+    for (let i = this.level.objects.length - 1; i >= 0; i--) {
+      const obj = this.level.objects[i];
+      if (inside(obj, obj.type)) return { kind: "object", index: i };
+    }
+    for (let i = this.level.rockets.length - 1; i >= 0; i--) {
+      if (inside(this.level.rockets[i], GAME_CONSTANTS.ROCKET)) {
+        return { kind: "rocket", index: i };
+      }
+    }
+    return null;
+  }
+
+  // Only counts while the handle sits outside the object, so slow objects
+  // can still be grabbed and moved
+  isOnVelocityHandle(x, y) {
+    if (this.selected.kind !== "object") return false;
+    const obj = this.getItem(this.selected);
+    const hx = obj.x + obj.vx * VELOCITY_HANDLE_SCALE;
+    const hy = obj.y + obj.vy * VELOCITY_HANDLE_SCALE;
+    return (
+      Math.hypot(hx - obj.x, hy - obj.y) >
+        this.engine.simulation.getRadius(obj.type) &&
+      Math.hypot(hx - x, hy - y) <= HANDLE_RADIUS + 2
+    );
+  }
+
+  deleteSelected() {
+    if (!this.selected) return;
+
+    const list =
+      this.selected.kind === "rocket" ? this.level.rockets : this.level.objects;
+    list.splice(this.selected.index, 1);
+    this.selected = null;
+    this.updatePanel();
+    this.redraw();
+  }
+
+  // Drawing
+
+  // Stand-in simulation object so the engine's createSprite can draw it
+  previewObject(type, item, index) {
+    const sim = this.engine.simulation;
+    return {
+      type,
+      x: item.x,
+      y: item.y,
+      rotation: 0,
+      radius: sim.getRadius(type),
+      mass: item.mass ?? sim.getMass(type),
+      color:
+        type === GAME_CONSTANTS.ROCKET
+          ? GAME_CONSTANTS.ROCKET_COLORS[index]
+          : sim.getLevelObjectColor(type),
+      shield: sim.shield.max,
+      live: true,
+    };
+  }
+
+  redraw() {
+    this.container.removeChildren().forEach((child) => {
+      child.destroy({ children: true });
+    });
+
+    // Arena outline
+    const arena = new PIXI.Graphics();
+    arena.lineStyle(2, 0x333366);
+    arena.drawRect(1, 1, this.app.screen.width - 2, this.app.screen.height - 2);
+    this.container.addChild(arena);
+
+    this.level.rockets.forEach((rocket, index) => {
+      this.container.addChild(
+        this.engine.createSprite(
+          this.previewObject(GAME_CONSTANTS.ROCKET, rocket, index),
+        ),
+      );
+    });
+    this.level.objects.forEach((obj, index) => {
+      this.container.addChild(
+        this.engine.createSprite(this.previewObject(obj.type, obj, index)),
+      );
+    });
+
+    if (this.selected) {
+      this.drawSelection();
+    }
+  }
+
+  drawSelection() {
+    const sim = this.engine.simulation;
+    const item = this.getItem(this.selected);
+    const type =
+      this.selected.kind === "rocket" ? GAME_CONSTANTS.ROCKET : item.type;
+    const overlay = new PIXI.Graphics();
+
+    overlay.lineStyle(1, 0xffff00, 0.9);
+    overlay.drawCircle(item.x, item.y, sim.getRadius(type) + 6);
+
+    // Velocity handle: the arrow tip sits at the object's velocity, scaled
+    if (this.selected.kind === "object") {
+      const hx = item.x + item.vx * VELOCITY_HANDLE_SCALE;
+      const hy = item.y + item.vy * VELOCITY_HANDLE_SCALE;
+      overlay.lineStyle(2, 0x00ffff, 0.9);
+      overlay.moveTo(item.x, item.y);
+      overlay.lineTo(hx, hy);
+      overlay.beginFill(0x00ffff);
+      overlay.drawCircle(hx, hy, HANDLE_RADIUS);
+      overlay.endFill();
+    }
+
+    this.container.addChild(overlay);
+  }
+
+  // DOM panel with tools, level settings and the selection's properties
+
+  createPanel() {
+    if (this.panel) return;
+
+    const panel = document.createElement("div");
+    panel.id = "level-editor";
+    panel.style.cssText = `
+      position: fixed;
+      top: 10px;
+      right: 10px;
+      width: 220px;
+      background: rgba(0, 0, 0, 0.85);
+      color: #00ffff;
+      border: 1px solid #00ffff;
+      padding: 10px;
+      font-family: 'Courier New', monospace;
+      font-size: 12px;
+      z-index: 1000;
+      display: none;
+    `;
+
+    const tools = ["select", "rocket", ...Object.keys(LEVEL_OBJECT_TYPES)];
+    panel.innerHTML = `
+      <div><strong>LEVEL EDITOR</strong></div>
+      <div>Click: place / select, drag: move,<br>
+        drag cyan handle or shift-drag: velocity, Del: delete</div>
+      <div>Name <input data-field="name" size="14"></div>
+      <div>Tool <select data-field="tool">${tools
+        .map((tool) => `<option value="${tool}">${tool}</option>`)
+        .join("")}</select></div>
+      <div>Walls <select data-field="walls">${WALL_MODES.map(
+        (mode) => `<option value="${mode}">${mode}</option>`,
+      ).join("")}<option value="" disabled>mixed</option></select>
+        bounce <input data-field="restitution" size="4" type="number"
+          step="0.1" min="0"></div>
+      <div>Win <select data-field="win">${WIN_CONDITIONS.map(
+        (type) => `<option value="${type}">${type}</option>`,
+      ).join("")}</select>
+        <input data-field="winValue" size="6" type="number"></div>
+      <hr>
+      <div data-section="selection">
+        <div data-field="selectionLabel"></div>
+        <div>vx <input data-field="vx" size="5" type="number" step="0.1">
+          vy <input data-field="vy" size="5" type="number" step="0.1"></div>
+        <div>mass <input data-field="mass" size="5" type="number" step="0.5"></div>
+        <div data-section="strength">strength
+          <input data-field="strength" size="5" type="number" step="0.1"></div>
+        <button data-action="delete">Delete</button>
+      </div>
+      <hr>
+      <button data-action="test">Test Play</button>
+      <button data-action="export">Export</button>
+      <button data-action="import">Import</button>
+      <button data-action="clear">Clear</button>
+      <button data-action="menu">Menu</button>
+      <input data-field="file" type="file" accept=".json,application/json"
+        style="display: none">
+    `;
+    document.body.appendChild(panel);
+    this.panel = panel;
+
+    const field = (name) => panel.querySelector(`[data-field="${name}"]`);
+
+    field("name").addEventListener("input", (event) => {
+      this.level.name = event.target.value || "Untitled";
+    });
+    field("tool").addEventListener("change", (event) => {
+      this.tool = event.target.value;
+    });
+    field("walls").addEventListener("change", (event) => {
+      this.setWalls(event.target.value, this.level.arena.walls.restitution);
+    });
+    field("restitution").addEventListener("change", (event) => {
+      this.setWalls(null, Number(event.target.value));
+    });
+    field("win").addEventListener("change", (event) => {
+      this.setWinCondition(event.target.value, Number(field("winValue").value));
+    });
+    field("winValue").addEventListener("change", (event) => {
+      this.setWinCondition(this.level.win.type, Number(event.target.value));
+    });
+
+    ["vx", "vy", "mass", "strength"].forEach((name) => {
+      field(name).addEventListener("change", (event) => {
+        this.setSelectedProperty(name, event.target.value);
+      });
+    });
+
+    field("file").addEventListener("change", (event) => {
+      if (event.target.files[0]) this.importLevel(event.target.files[0]);
+      event.target.value = "";
+    });
+
+    const actions = {
+      delete: () => this.deleteSelected(),
+      test: () => this.testPlay(),
+      export: () => this.exportLevel(),
+      import: () => field("file").click(),
+      clear: () => {
+        this.level = this.createEmptyLevel();
+        this.selected = null;
+        this.updatePanel();
+        this.redraw();
+      },
+      menu: () => this.game.showMainMenu(),
+    };
+    panel.querySelectorAll("[data-action]").forEach((button) => {
+      button.addEventListener("click", actions[button.dataset.action]);
+    });
+
+    field("tool").value = this.tool;
+    this.updatePanel();
+  }
+
+  setWinCondition(type, value) {
+    if (type === "score") {
+      this.level.win = { type, points: value || 500 };
+    } else if (type === "survive") {
+      this.level.win = { type, steps: value || 3600 };
+    } else {
+      this.level.win = { type };
+    }
+    this.updatePanel();
+  }
+
+  // A null mode keeps each side's current mode (mixed walls from an
+  // imported level); bad restitution values fall back to the default
+  setWalls(mode, restitution) {
+    const walls = { ...this.level.arena.walls };
+    if (mode) WALL_SIDES.forEach((side) => (walls[side] = mode));
+    walls.restitution = restitution >= 0 ? restitution : undefined;
+    this.level.arena.walls = LevelLoader.parseWalls(walls);
+    this.updatePanel();
+  }
+
+  // Empty inputs fall back to the type's defaults
+  setSelectedProperty(name, value) {
+    if (!this.selected || this.selected.kind !== "object") return;
+
+    const obj = this.getItem(this.selected);
+    const number = parseFloat(value);
+    if (name === "vx" || name === "vy") {
+      obj[name] = Number.isFinite(number) ? number : 0;
+    } else if (Number.isFinite(number) && number > 0) {
+      obj[name] = number;
+    } else {
+      delete obj[name];
+    }
+    this.redraw();
+  }
+
+  updatePanel() {
+    if (!this.panel) return;
+
+    const field = (name) => this.panel.querySelector(`[data-field="${name}"]`);
+    const section = (name) =>
+      this.panel.querySelector(`[data-section="${name}"]`);
+
+    field("name").value = this.level.name;
+    const walls = this.level.arena.walls;
+    const wallModes = new Set(WALL_SIDES.map((side) => walls[side]));
+    field("walls").value = wallModes.size === 1 ? walls.top : "";
+    field("restitution").value = walls.restitution;
+    field("win").value = this.level.win.type;
+    field("winValue").style.display =
+      this.level.win.type === "clear" ? "none" : "inline";
+    field("winValue").value =
+      this.level.win.points ?? this.level.win.steps ?? "";
+
+    const item = this.selected && this.getItem(this.selected);
+    section("selection").style.display = item ? "block" : "none";
+    if (!item) return;
+
+    const isObject = this.selected.kind === "object";
+    const typeName = isObject
+      ? Object.keys(LEVEL_OBJECT_TYPES).find(
+          (name) => LEVEL_OBJECT_TYPES[name] === item.type,
+        )
+      : `rocket ${this.selected.index + 1}`;
+    field("selectionLabel").textContent =
+      `${typeName} @ ${Math.round(item.x)}, ${Math.round(item.y)}`;
+
+    ["vx", "vy", "mass"].forEach((name) => {
+      field(name).disabled = !isObject;
+      field(name).value = isObject ? (item[name] ?? "") : "";
+    });
+    section("strength").style.display =
+      isObject &&
+      (item.type === GAME_CONSTANTS.HOLE || item.type === GAME_CONSTANTS.EHOLE)
+        ? "block"
+        : "none";
+    field("strength").value = isObject ? (item.strength ?? "") : "";
+  }
+}
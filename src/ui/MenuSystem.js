@@ -63,12 +63,18 @@ export class MenuSystem {
     handleMainMenuSelection() {
         switch (this.selectedIndex) {
             case 0: // Start Single Player
-                this.game.startGame(1);
+                this.game.showGameSetup(1);
                 break;
             case 1: // Start Multi Player
-                this.game.startGame(2);
+                this.game.showGameSetup(2, { gameMode: 'cooperative' });
                 break;
-            case 2: // Show Controls
+            case 2: // Start Deathmatch
+                this.game.showGameSetup(2, { gameMode: 'deathmatch' });
+                break;
+            case 3: // Level Editor
+                this.game.showLevelEditor();
+                break;
+            case 4: // Show Controls
                 this.showControlsMenu();
                 break;
         }
@@ -117,7 +123,7 @@ export class MenuSystem {
     getMenuItemCount() {
         switch (this.currentMenu) {
             case 'main':
-                return 3;
+                return 5;
             case 'controls':
                 return 1;
             default:
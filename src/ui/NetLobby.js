@@ -0,0 +1,246 @@
+/**
+ * NetLobby.js - Online play lobby: relay connection, rooms and start
+ *
+ * Connects to a relay (server/relay.mjs), creates a room or joins one by
+ * its four-letter code and lists who is in it. The host picks the mode,
+ * difficulty and mutators and starts the game for everyone; each player's
+ * game then runs in lockstep (see Lockstep.js). The room stays open after
+ * a game so the host can start a rematch.
+ */
+
+import { DIFFICULTY_PRESETS, MUTATORS } from "../game/Difficulty.js";
+import { SeededRandom } from "../game/SeededRandom.js";
+import { DEFAULT_RELAY_PORT, RelayClient } from "../net/RelayClient.js";
+import { escapeHtml, NAME_KEY } from "./Common.js";
+
+const URL_KEY = "koulesII.relayUrl";
+
+export class NetLobby {
+  constructor(game) {
+    this.game = game;
+    this.panel = null;
+    this.client = null; // RelayClient while connected
+    this.room = null; // Latest room state from the relay
+  }
+
+  show() {
+    this.createPanel();
+    this.field("url").value =
+      localStorage.getItem(URL_KEY) ||
+      `ws://${location.hostname || "localhost"}:${DEFAULT_RELAY_PORT}`;
+    this.field("name").value = localStorage.getItem(NAME_KEY) || "";
+    this.field("difficulty").value = this.game.difficulty;
+    Object.keys(MUTATORS).forEach((id) => {
+      this.field(id).checked = this.game.mutators.includes(id);
+    });
+
+    this.render();
+    this.panel.classList.remove("hidden");
+  }
+
+  hide() {
+    if (this.panel) this.panel.classList.add("hidden");
+  }
+
+  get isHost() {
+    return Boolean(
+      this.client && this.room && this.room.host === this.client.id,
+    );
+  }
+
+  // Connect (if need be), then create a room or join the one typed in
+  async enterRoom(action) {
+    const url = this.field("url").value.trim();
+    const name = this.field("name").value.trim().slice(0, 16);
+    const code = this.field("code").value.trim();
+    if (action === "join" && !code) {
+      this.setStatus("Enter a room code to join.");
+      return;
+    }
+    localStorage.setItem(URL_KEY, url);
+    if (name) localStorage.setItem(NAME_KEY, name);
+
+    if (!this.client || !this.client.connected) {
+      this.setStatus(`Connecting to ${url}...`);
+      try {
+        this.connect(await RelayClient.connect(url));
+      } catch (error) {
+        this.setStatus(error.message);
+        return;
+      }
+    }
+
+    if (action === "create") {
+      this.client.create(name);
+    } else {
+      this.client.join(code, name);
+    }
+  }
+
+  connect(client) {
+    this.client = client;
+    this.game.bindNetClient(client);
+
+    client.on("room", (room) => {
+      this.room = room;
+      this.setStatus("");
+      this.render();
+    });
+    client.on("error", ({ message }) => this.setStatus(message));
+    client.on("latency", (latency) => {
+      if (this.panel) {
+        this.field("ping").textContent = `Ping: ${Math.round(latency)} ms`;
+      }
+    });
+    client.on("start", (message) => {
+      this.hide();
+      this.game.startNetGame(client, message);
+    });
+    client.on("close", () => {
+      if (this.client !== client) return;
+      this.client = null;
+      this.room = null;
+      this.game.handleNetDisconnect();
+    });
+  }
+
+  // Leave the room and drop the connection
+  leave() {
+    if (!this.client) return;
+
+    const client = this.client;
+    this.client = null;
+    this.room = null;
+    client.close();
+    if (this.panel) this.render();
+  }
+
+  // Host only: everyone starts the same generated game
+  start() {
+    if (!this.isHost) return;
+    if (this.room.players.length < 2) {
+      this.setStatus("Waiting for at least one more player.");
+      return;
+    }
+
+    const { width, height } = this.game.gameEngine.arenaSize;
+    this.client.start({
+      level: 1,
+      gameMode: this.field("mode").value,
+      seed: SeededRandom.randomSeed(),
+      walls: this.game.walls,
+      difficulty: this.field("difficulty").value,
+      mutators: Object.keys(MUTATORS).filter((id) => this.field(id).checked),
+      width,
+      height,
+    });
+  }
+
+  render() {
+    const inRoom = Boolean(this.client && this.room);
+    this.setSection(inRoom ? "room" : "connect");
+    if (!inRoom) return;
+
+    this.field("room").textContent = `ROOM ${this.room.room}`;
+    this.field("players").innerHTML = this.room.players
+      .map(
+        ({ id, name }, slot) => `<div>Player ${slot + 1}: ${escapeHtml(name)}
+          ${id === this.room.host ? " (Host)" : ""}
+          ${id === this.client.id ? " (You)" : ""}</div>`,
+      )
+      .join("");
+    // Only the host picks the rules and starts
+    const host = this.isHost;
+    this.field("options").style.display = host ? "" : "none";
+    this.field("start").style.display = host ? "" : "none";
+    this.field("waiting").style.display = host ? "none" : "";
+  }
+
+  // HTML-safe names of the players in the given slots (relay client ids)
+  getPlayerNames(slots) {
+    const players = this.room ? this.room.players : [];
+    return slots.map((id) => {
+      const player = players.find((other) => other.id === id);
+      return player ? escapeHtml(player.name) : "";
+    });
+  }
+
+  setStatus(text) {
+    if (this.panel) this.field("status").textContent = text;
+  }
+
+  field(name) {
+    return this.panel.querySelector(`[data-field="${name}"]`);
+  }
+
+  // Either the connect form or the room
+  setSection(name) {
+    this.panel.querySelectorAll("[data-section]").forEach((section) => {
+      section.style.display = section.dataset.section === name ? "" : "none";
+    });
+  }
+
+  createPanel() {
+    if (this.panel) return;
+
+    const panel = document.createElement("div");
+    panel.id = "net-lobby";
+    panel.className = "menu hidden";
+    const presets = Object.keys(DIFFICULTY_PRESETS).map(
+      (id) => `<option value="${id}">${DIFFICULTY_PRESETS[id].name}</option>`,
+    );
+    const mutators = Object.keys(MUTATORS).map(
+      (id) => `<div><label><input type="checkbox" data-field="${id}">
+        ${MUTATORS[id].name}</label></div>`,
+    );
+    panel.innerHTML = `
+      <h1>PLAY ONLINE</h1>
+      <div data-section="connect">
+        <div>Relay <input data-field="url" size="28"></div>
+        <div>Name <input data-field="name" maxlength="16"></div>
+        <button data-action="create">Create Room</button>
+        <div>Room code <input data-field="code" maxlength="4" size="5">
+          <button data-action="join">Join</button></div>
+        <button data-action="back">Back</button>
+      </div>
+      <div data-section="room">
+        <h2 data-field="room"></h2>
+        <div data-field="players"></div>
+        <div data-field="options">
+          <div>Mode <select data-field="mode">
+            <option value="cooperative">Cooperative</option>
+            <option value="deathmatch">Deathmatch</option>
+          </select></div>
+          <div>Difficulty <select data-field="difficulty">
+            ${presets.join("")}</select></div>
+          ${mutators.join("")}
+        </div>
+        <p data-field="waiting">Waiting for the host to start...</p>
+        <button data-action="start" data-field="start">Start</button>
+        <button data-action="leave">Leave</button>
+        <p data-field="ping"></p>
+      </div>
+      <p data-field="status"></p>
+    `;
+    (document.getElementById("game-container") || document.body).appendChild(
+      panel,
+    );
+    this.panel = panel;
+
+    // Typing a name or code shouldn't steer a rocket or open menus
+    panel.querySelectorAll("input").forEach((input) => {
+      input.addEventListener("keydown", (event) => event.stopPropagation());
+    });
+
+    const actions = {
+      create: () => this.enterRoom("create"),
+      join: () => this.enterRoom("join"),
+      start: () => this.start(),
+      leave: () => this.leave(),
+      back: () => this.game.showMainMenu(),
+    };
+    panel.querySelectorAll("[data-action]").forEach((button) => {
+      button.addEventListener("click", actions[button.dataset.action]);
+    });
+  }
+}
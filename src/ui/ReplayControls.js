@@ -0,0 +1,152 @@
+/**
+ * ReplayControls.js - Playback controls for recorded games
+ *
+ * Pause, single step, 1x/2x/4x speed and a scrub bar over the replay the
+ * engine is playing, plus import/export of replay files (see Replay.js).
+ */
+
+import { Replay } from "../game/Replay.js";
+
+const SPEEDS = [1, 2, 4];
+
+export class ReplayControls {
+  constructor(game) {
+    this.game = game;
+    this.engine = game.gameEngine;
+    this.panel = null;
+    this.scrubbing = false; // Don't move the bar under the pointer
+
+    this.engine.on("replayProgress", (status) => this.update(status));
+  }
+
+  show() {
+    this.createPanel();
+    this.panel.style.display = "block";
+    this.update(this.engine.getReplayStatus());
+  }
+
+  hide() {
+    if (this.panel) this.panel.style.display = "none";
+  }
+
+  // Download the game being played or watched, if there is one
+  exportReplay() {
+    const replay = this.engine.getReplay();
+    if (!replay) {
+      alert("Nothing recorded yet - play a game first.");
+      return;
+    }
+
+    const { level, seed } = replay.config;
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(
+      new Blob([Replay.stringify(replay)], { type: "application/json" }),
+    );
+    link.download = `koules-replay-${level}-${seed}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // Let the player pick a replay file and start watching it
+  importReplay() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.addEventListener("change", () => {
+      const file = input.files[0];
+      if (!file) return;
+      file.text().then((text) => {
+        try {
+          this.game.startReplay(text);
+        } catch (error) {
+          alert(`Could not load replay: ${error.message}`);
+        }
+      });
+    });
+    input.click();
+  }
+
+  update(status) {
+    if (!this.panel || !status) return;
+
+    const field = (name) => this.panel.querySelector(`[data-field="${name}"]`);
+    field("pause").textContent = status.paused ? "Play" : "Pause";
+    field("position").textContent = `${status.tick} / ${status.length}`;
+    field("scrub").max = status.length;
+    if (!this.scrubbing) field("scrub").value = status.tick;
+    SPEEDS.forEach((speed) => {
+      field(`speed${speed}`).style.fontWeight =
+        status.speed === speed ? "bold" : "normal";
+    });
+  }
+
+  createPanel() {
+    if (this.panel) return;
+
+    const panel = document.createElement("div");
+    panel.id = "replay-controls";
+    panel.style.cssText = `
+      position: fixed;
+      bottom: 10px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: rgba(0, 0, 0, 0.85);
+      color: #00ffff;
+      border: 1px solid #00ffff;
+      padding: 8px;
+      font-family: 'Courier New', monospace;
+      font-size: 12px;
+      z-index: 1000;
+      display: none;
+    `;
+    panel.innerHTML = `
+      <strong>REPLAY</strong>
+      <button data-field="pause">Pause</button>
+      <button data-action="step">Step</button>
+      ${SPEEDS.map(
+        (speed) => `<button data-field="speed${speed}">${speed}x</button>`,
+      ).join("")}
+      <input data-field="scrub" type="range" min="0" value="0"
+        style="width: 240px; vertical-align: middle">
+      <span data-field="position"></span>
+      <button data-action="export">Export</button>
+      <button data-action="exit">Exit</button>
+    `;
+    document.body.appendChild(panel);
+    this.panel = panel;
+
+    const field = (name) => panel.querySelector(`[data-field="${name}"]`);
+    const engine = this.engine;
+
+    field("pause").addEventListener("click", () => {
+      const status = engine.getReplayStatus();
+      if (status) engine.setReplayPaused(!status.paused);
+    });
+    SPEEDS.forEach((speed) => {
+      field(`speed${speed}`).addEventListener("click", () => {
+        engine.setReplaySpeed(speed);
+      });
+    });
+
+    // Seek once the bar is released; seeking backwards replays from the
+    // start, which is too slow to do on every input event
+    const scrub = field("scrub");
+    scrub.addEventListener("input", () => {
+      this.scrubbing = true;
+      field("position").textContent = `${scrub.value} / ${scrub.max}`;
+    });
+    scrub.addEventListener("change", () => {
+      this.scrubbing = false;
+      engine.seekReplay(Number(scrub.value));
+    });
+
+    const actions = {
+      step: () => engine.stepReplay(),
+      export: () => this.exportReplay(),
+      exit: () => this.game.showMainMenu(),
+    };
+    panel.querySelectorAll("[data-action]").forEach((button) => {
+      button.addEventListener("click", actions[button.dataset.action]);
+    });
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * bots.test.js - Bot-only deathmatch rounds come to an end
+ *
+ * Two Normal bots fight a deathmatch round headless; one of them has to
+ * push the other into a hole or a deadly wall for every life it has
+ * within the step budget.
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { PilotInput } from "../src/game/AIPilot.js";
+import { Simulation } from "../src/game/Simulation.js";
+
+const STEP_BUDGET = 40000; // About 11 minutes of play
+
+function playRound(seed, level) {
+  const sim = new Simulation({ width: 800, height: 600 });
+  const input = new PilotInput(sim, { getPlayerControls: () => ({}) });
+  sim.inputSource = input;
+
+  let roundOver = false;
+  sim.on("roundComplete", () => {
+    roundOver = true;
+  });
+  sim.startGame({
+    gameMode: "deathmatch",
+    playerCount: 2,
+    seed,
+    level,
+    walls: "deadly",
+  });
+  input.setPilots(["normal", "normal"]);
+
+  for (let i = 0; i < STEP_BUDGET && !roundOver; i++) sim.step();
+  return roundOver;
+}
+
+// Levels from 3 up, which have holes: a rocket that thrusts back can't be
+// rammed into a wall by another of the same strength
+for (const [seed, level] of [
+  [1, 3],
+  [2, 3],
+  [6, 4],
+]) {
+  test(`bot-only deathmatch round ends (seed ${seed}, level ${level})`, () => {
+    assert.ok(
+      playRound(seed, level),
+      `no round finished within ${STEP_BUDGET} steps`,
+    );
+  });
+}
@@ -0,0 +1,32 @@
+/**
+ * collisions.test.js - Swept collision times between two circles
+ *
+ * Objects that pass through each other within a step meet partway
+ * through it; ones that already overlapped at the start only collide
+ * there if they are closing in, not while they are moving apart.
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { Simulation } from "../src/game/Simulation.js";
+
+// Circle of radius 10 moving from (prevX, prevY) to (x, y) this step
+const circle = (prevX, prevY, x, y) => ({ prevX, prevY, x, y, radius: 10 });
+
+const sim = new Simulation({ width: 800, height: 600 });
+
+test("objects passing through each other meet partway", () => {
+  const t = sim.sweptImpactTime(circle(0, 0, 100, 0), circle(60, 0, 60, 0));
+  assert.equal(t, 0.4);
+});
+
+test("overlapping objects moving apart don't collide again", () => {
+  const t = sim.sweptImpactTime(circle(0, 0, -5, 0), circle(15, 0, 20, 0));
+  assert.equal(t, null);
+});
+
+test("overlapping objects closing in collide at once", () => {
+  const t = sim.sweptImpactTime(circle(0, 0, 5, 0), circle(15, 0, 10, 0));
+  assert.equal(t, 0);
+});
@@ -0,0 +1,165 @@
+/**
+ * netplay.test.js - Two online players stay in sync through a relay
+ *
+ * Runs a relay in-process and two RelayClients against it, each driving
+ * its own Simulation through a LockstepInput the way the browser game
+ * does. Both players must reach the same state every hash interval and
+ * the relay must never report a desync. Controls left over from a game the
+ * host has since restarted must not reach the new one.
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import WebSocket from "ws";
+
+import { startRelay } from "../server/relay.mjs";
+import { Simulation } from "../src/game/Simulation.js";
+import { HASH_INTERVAL, LockstepInput } from "../src/net/Lockstep.js";
+import { RelayClient } from "../src/net/RelayClient.js";
+
+const FRAMES = 3000;
+
+// Each player steers its rocket through a different repeating pattern,
+// changing every 20 frames of `getFrame()`
+function scriptedControls(playerId, getFrame) {
+  return {
+    getPlayerControls() {
+      const t = Math.floor(getFrame() / 20) * 31 + playerId * 17;
+      return {
+        up: t % 3 === 0,
+        down: t % 5 === 0,
+        left: t % 7 < 3,
+        right: t % 4 === 1,
+        brake: t % 11 === 0,
+      };
+    },
+  };
+}
+
+const CONFIG = {
+  level: 1,
+  seed: "NET",
+  gameMode: "deathmatch",
+  walls: "deadly",
+  width: 800,
+  height: 600,
+};
+
+const nextMessage = (client, type) =>
+  new Promise((resolve) => client.once(type, resolve));
+
+// Relay on a free port with a host and a guest in one room; `run` gets
+// both clients and everything is closed afterwards
+async function withRoom(run) {
+  const relay = await startRelay({ port: 0, log: () => {} });
+  const url = `ws://localhost:${relay.address().port}`;
+  const clients = [];
+  try {
+    clients.push(await RelayClient.connect(url, WebSocket));
+    clients.push(await RelayClient.connect(url, WebSocket));
+    const [host, guest] = clients;
+
+    const created = nextMessage(host, "joined");
+    host.create("Host");
+    const { room } = await created;
+    const joined = nextMessage(guest, "joined");
+    guest.join(room, "Guest");
+    await joined;
+
+    await run(host, guest);
+  } finally {
+    clients.forEach((client) => client.close());
+    await new Promise((resolve) => relay.close(resolve));
+  }
+}
+
+// Host starts CONFIG; resolves to the start message each client got
+function startGame(clients) {
+  const starts = clients.map((client) => nextMessage(client, "start"));
+  clients[0].start(CONFIG);
+  return Promise.all(starts);
+}
+
+function createPeer(client, { game, config, slots }) {
+  const sim = new Simulation({ width: config.width, height: config.height });
+  const playerId = slots.indexOf(client.id);
+  const lockstep = new LockstepInput(
+    sim,
+    scriptedControls(playerId, () => lockstep.nextLocalFrame),
+    {
+      game,
+      playerId,
+      playerCount: slots.length,
+      send: (message) => client.send(message),
+    },
+  );
+  sim.inputSource = lockstep;
+
+  const peer = { client, sim, lockstep, hashes: [], desyncs: [] };
+  client.on("input", ({ game, player, frame, masks, simFrame }) => {
+    lockstep.receive(game, player, frame, masks, simFrame);
+  });
+  client.on("desync", ({ frame }) => peer.desyncs.push(frame));
+  sim.startGame(config);
+  return peer;
+}
+
+// Step as far as everyone's controls allow
+function advance(peer) {
+  const { sim, lockstep } = peer;
+  while (lockstep.frame < FRAMES && lockstep.ready()) {
+    sim.step();
+    lockstep.advance();
+    if (lockstep.frame % HASH_INTERVAL === 0) {
+      peer.hashes.push(sim.getStateHash());
+    }
+  }
+}
+
+test("two players stay in lockstep through the relay", () =>
+  withRoom(async (host, guest) => {
+    const clients = [host, guest];
+    const peers = (await startGame(clients)).map((message, i) =>
+      createPeer(clients[i], message),
+    );
+
+    // Take turns, letting the relay pass controls along in between
+    while (peers.some((peer) => peer.lockstep.frame < FRAMES)) {
+      peers.forEach(advance);
+      await new Promise((resolve) => setTimeout(resolve, 1));
+    }
+    // Give the relay time to compare the last hashes
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    const [first, second] = peers;
+    assert.equal(first.hashes.length, FRAMES / HASH_INTERVAL);
+    assert.deepEqual(second.hashes, first.hashes);
+    assert.equal(first.sim.gameState, "running");
+    peers.forEach((peer) => assert.deepEqual(peer.desyncs, []));
+  }));
+
+test("controls from a restarted game are dropped", () =>
+  withRoom(async (host, guest) => {
+    const [first] = await startGame([host, guest]);
+    const [second] = await startGame([host, guest]);
+    assert.notEqual(second.game, first.game);
+
+    // The relay only passes on the controls sent for the new game
+    const received = [];
+    host.on("input", (message) => received.push(message));
+    const stale = { type: "input", frame: 0, masks: [1], simFrame: 0 };
+    guest.send({ ...stale, game: first.game });
+    guest.send({ ...stale, game: second.game });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.deepEqual(
+      received.map(({ game }) => game),
+      [second.game],
+    );
+
+    // and a lockstep session ignores any that arrive all the same
+    const peer = createPeer(host, second);
+    peer.lockstep.receive(first.game, 1, 0, [1], 0);
+    assert.equal(peer.lockstep.inputs[1].has(0), false);
+    peer.lockstep.receive(second.game, 1, 0, [1], 0);
+    assert.equal(peer.lockstep.inputs[1].get(0), 1);
+  }));
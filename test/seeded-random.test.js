@@ -0,0 +1,51 @@
+/**
+ * seeded-random.test.js - Seed codes read back as the seed they came from
+ *
+ * A seed shown in the HUD (as part of a level code) has to start the same
+ * level when it is typed back in, including seeds whose base 36 code would
+ * have no letters in it.
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { SeededRandom } from "../src/game/SeededRandom.js";
+import { Simulation } from "../src/game/Simulation.js";
+
+const SEEDS = [
+  0,
+  1,
+  35,
+  36,
+  1371, // "123" in base 36
+  46655, // "ZZZ"
+  2147483648,
+  0xffffffff,
+];
+
+test("normalizeSeed reads back every toCode", () => {
+  const rng = new SeededRandom(42);
+  const seeds = [...SEEDS];
+  for (let i = 0; i < 1000; i++) seeds.push(Math.floor(rng.next() * 2 ** 32));
+
+  seeds.forEach((seed) => {
+    const code = SeededRandom.toCode(seed);
+    assert.equal(SeededRandom.normalizeSeed(code), seed, `code ${code}`);
+  });
+});
+
+test("level codes start the level they were taken from", () => {
+  SEEDS.forEach((seed) => {
+    const sim = new Simulation({ width: 800, height: 600 });
+    sim.startGame({ level: 4, seed });
+    assert.deepEqual(Simulation.parseLevelCode(sim.getLevelCode()), {
+      level: 4,
+      seed,
+    });
+  });
+});
+
+test("typed digits are a decimal seed", () => {
+  assert.equal(SeededRandom.normalizeSeed("123"), 123);
+  assert.equal(SeededRandom.normalizeSeed("ABC"), parseInt("abc", 36));
+});
@@ -0,0 +1,69 @@
+/**
+ * stats.test.js - Lifetime stats only count what the player did
+ *
+ * Feeds PlayerStats game events by hand: levels count as reached once the
+ * level before them is beaten, only the player's own rocket counts towards
+ * deaths and mass, and every hole that swallows a ball is counted once.
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { EventEmitter } from "../src/game/EventEmitter.js";
+import { GAME_CONSTANTS } from "../src/game/GameConstants.js";
+import { PlayerStats } from "../src/game/Stats.js";
+
+function createStats(playerId = 0) {
+  const saved = new Map();
+  const storage = {
+    getItem: (key) => saved.get(key) ?? null,
+    setItem: (key, value) => saved.set(key, value),
+  };
+  const source = new EventEmitter();
+  const stats = new PlayerStats(storage);
+  stats.track(source, () => playerId);
+  return { source, stats };
+}
+
+const rocket = (playerId, mass = GAME_CONSTANTS.ROCKETM) => ({
+  type: GAME_CONSTANTS.ROCKET,
+  playerId,
+  mass,
+});
+
+test("starting from a level code doesn't reach the level", () => {
+  const { source, stats } = createStats();
+  source.emit("gameStarted", { level: 20 });
+  assert.equal(stats.stats.highestLevel, 0);
+  assert.equal(stats.isUnlocked("deepSpace"), false);
+
+  source.emit("levelComplete", { level: 20, score: 100 });
+  assert.equal(stats.stats.highestLevel, 21);
+});
+
+test("other rockets' deaths and mass don't count", () => {
+  const { source, stats } = createStats(1);
+  source.emit("rocketDestroyed", { rocket: rocket(0), cause: "hole" });
+  source.emit("massTransfer", { to: rocket(2, 20), amount: 5 });
+  assert.deepEqual(stats.stats.deaths, { wall: 0, hole: 0, impact: 0 });
+  assert.equal(stats.stats.massGained, 0);
+
+  source.emit("rocketDestroyed", { rocket: rocket(1), cause: "wall" });
+  source.emit("massTransfer", { to: rocket(1, 9), amount: 2 });
+  assert.equal(stats.stats.deaths.wall, 1);
+  assert.equal(stats.stats.massGained, 2);
+  assert.equal(stats.stats.largestRocketMass, 9);
+});
+
+test("balls are counted per hole", () => {
+  const { source, stats } = createStats();
+  const ball = { type: GAME_CONSTANTS.BALL_SMALL };
+  const [first, second] = [{}, {}];
+  source.emit("gameStarted", { level: 1 });
+  [first, first, first, second].forEach((hole) =>
+    source.emit("ballInHole", { ball, hole }),
+  );
+  assert.equal(stats.stats.ballsSunk, 4);
+  assert.equal(stats.stats.holesFed, 2);
+  assert.equal(stats.stats.mostBallsInOneHole, 3);
+});